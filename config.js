@@ -0,0 +1,161 @@
+//central place for settings that change between environments
+//every value can be overridden with an environment variable
+
+//"a, b,c" -> ["a", "b", "c"]
+function listFromEnv(name, fallback = "") {
+  return (process.env[name] ?? fallback)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+//secrets have no default -> a public fallback string would let anyone sign tokens
+//the server refuses to start until they are set
+function requiredFromEnv(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} must be set`);
+  return value;
+}
+
+//bcrypt cost factor -> every +1 doubles the time needed to hash
+export const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 10;
+
+//JWT
+//access tokens are signed with a private key (RS256 or EdDSA), other services verify them with the public keys from /.well-known/jwks.json
+//refresh tokens are only ever read by this server, so they keep a shared secret (HS256)
+export const JWT_ALGORITHM = process.env.JWT_ALGORITHM || "RS256";
+export const JWT_ISSUER = process.env.JWT_ISSUER || "http://localhost:3000";
+//a signing key is used for this many days, then a new one takes over
+export const JWT_KEY_ROTATION_DAYS =
+  Number(process.env.JWT_KEY_ROTATION_DAYS) || 30;
+//a retired key still verifies tokens for this long (must be longer than ACCESS_TOKEN_TTL)
+export const JWT_KEY_GRACE_HOURS =
+  Number(process.env.JWT_KEY_GRACE_HOURS) || 24;
+export const JWT_REFRESH_SECRET = requiredFromEnv("JWT_REFRESH_SECRET");
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"; //short lived, sent in the Authorization header
+export const REFRESH_TOKEN_TTL_DAYS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7; //long lived, kept in an httpOnly cookie
+export const REFRESH_COOKIE_NAME = "refreshToken";
+
+export const IS_PRODUCTION = process.env.NODE_ENV === "production";
+
+//invitations
+export const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+//password reset
+export const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+//at most one reset mail per account every N seconds, and M per hour
+export const PASSWORD_RESET_COOLDOWN_SECONDS =
+  Number(process.env.PASSWORD_RESET_COOLDOWN_SECONDS) || 60;
+export const PASSWORD_RESET_MAX_PER_HOUR =
+  Number(process.env.PASSWORD_RESET_MAX_PER_HOUR) || 5;
+
+//mail
+//"memory" keeps the mails in an array, "file" writes each mail as a json file into MAIL_OUTBOX_DIR
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "file";
+export const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || "outbox";
+export const MAIL_FROM = process.env.MAIL_FROM || "no-reply@localhost";
+
+//used to build the links inside mails
+export const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+//email verification
+export const EMAIL_VERIFICATION_TTL_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+//at most one verification mail per account every N seconds, and M per hour
+export const EMAIL_VERIFICATION_COOLDOWN_SECONDS =
+  Number(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60;
+export const EMAIL_VERIFICATION_MAX_PER_HOUR =
+  Number(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR) || 5;
+//roles that can only log in after verifying their email, e.g. "user,admin,superadmin"
+export const REQUIRE_VERIFIED_EMAIL_ROLES = listFromEnv(
+  "REQUIRE_VERIFIED_EMAIL_ROLES"
+);
+
+//failed logins
+//after BACKOFF_AFTER failures every new failure doubles the wait (1s, 2s, 4s ... up to BACKOFF_MAX)
+//after LOCK_AFTER failures the key is locked for LOCK_MINUTES
+//counted per account (email) and, with higher limits, per IP
+export const LOGIN_ACCOUNT_BACKOFF_AFTER =
+  Number(process.env.LOGIN_ACCOUNT_BACKOFF_AFTER) || 3;
+export const LOGIN_ACCOUNT_LOCK_AFTER =
+  Number(process.env.LOGIN_ACCOUNT_LOCK_AFTER) || 10;
+export const LOGIN_IP_BACKOFF_AFTER =
+  Number(process.env.LOGIN_IP_BACKOFF_AFTER) || 10;
+export const LOGIN_IP_LOCK_AFTER =
+  Number(process.env.LOGIN_IP_LOCK_AFTER) || 50;
+export const LOGIN_BACKOFF_BASE_SECONDS =
+  Number(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1;
+export const LOGIN_BACKOFF_MAX_SECONDS =
+  Number(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 300;
+export const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+//failures are forgotten after this long without a new one
+export const LOGIN_FAILURE_WINDOW_HOURS =
+  Number(process.env.LOGIN_FAILURE_WINDOW_HOURS) || 24;
+
+//two factor authentication (TOTP)
+//roles that must use 2FA, users with these roles have to enroll before they get an access token
+export const TWO_FACTOR_REQUIRED_ROLES = listFromEnv(
+  "TWO_FACTOR_REQUIRED_ROLES",
+  "admin,superadmin"
+);
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || "Server"; //shown in the authenticator app
+export const RECOVERY_CODE_COUNT = 10;
+//the challenge token proves the password step passed, it is only good for the second step
+export const JWT_CHALLENGE_SECRET = requiredFromEnv("JWT_CHALLENGE_SECRET");
+export const CHALLENGE_TOKEN_TTL = "5m";
+
+//sign in with external providers (OAuth2 / OIDC)
+//a provider is only offered when its client id and secret are set
+export const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
+export const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
+export const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
+export const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET;
+//local fake identity provider mounted at /mock-oidc, lets the whole flow run without the network
+//it signs in whoever it is told to (with a verified email) -> only with MOCK_OIDC_ENABLED=true, and never in production
+if (process.env.MOCK_OIDC_ENABLED === "true" && IS_PRODUCTION) {
+  console.warn("MOCK_OIDC_ENABLED is ignored in production");
+}
+export const MOCK_OIDC_ENABLED =
+  process.env.MOCK_OIDC_ENABLED === "true" && !IS_PRODUCTION;
+export const OAUTH_STATE_TTL_MINUTES = 10;
+
+//impersonation (superadmins acting as another user for support)
+export const IMPERSONATION_TTL_MINUTES =
+  Number(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+//password policy
+//bcrypt only looks at the first 72 bytes, anything longer would silently be cut off -> reject it instead
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+export const PASSWORD_MAX_BYTES = 72;
+//character classes every password must contain, any of "lowercase,uppercase,digit,symbol"
+//empty by default -> long passphrases are stronger than short "P@ssw0rd" style passwords
+export const PASSWORD_REQUIRED_CLASSES = listFromEnv(
+  "PASSWORD_REQUIRED_CLASSES"
+);
+//how many previous passwords can not be used again
+export const PASSWORD_HISTORY_SIZE =
+  Number(process.env.PASSWORD_HISTORY_SIZE) || 5;
+
+//soft deleted users
+//how long a deleted user can still be restored before the purge job removes them for good
+export const USER_RETENTION_DAYS =
+  Number(process.env.USER_RETENTION_DAYS) || 30;
+export const USER_PURGE_INTERVAL_MINUTES =
+  Number(process.env.USER_PURGE_INTERVAL_MINUTES) || 60;
+
+//bulk import (POST /signup_multi)
+export const IMPORT_BATCH_SIZE = Number(process.env.IMPORT_BATCH_SIZE) || 500;
+//a completely broken file would otherwise produce one error per row in the response
+export const IMPORT_MAX_REPORTED_ERRORS = 1000;
+
+//list pagination (?limit=)
+export const PAGE_SIZE_DEFAULT = 20;
+export const PAGE_SIZE_MAX = 100;
+
+//user search (GET /users/search)
+export const SEARCH_MAX_LENGTH = 100;
+//share of the typed trigrams a user has to match in prefix mode, 0.3 lets about one typo per short word through
+export const SEARCH_MIN_SIMILARITY =
+  Number(process.env.SEARCH_MIN_SIMILARITY) || 0.3;
@@ -1,10 +1,26 @@
 import express from "express";
 import mongoose from "mongoose";
+import cookieParser from "cookie-parser";
+import User from "./model/user.model.js";
 import UserRoutes from "./view/user.view.js";
 import aggregation from "./view/aggregation.js";
+import AuthRoutes from "./view/auth.view.js";
+import AdminRoutes from "./view/admin.view.js";
+import TwoFactorRoutes from "./view/twoFactor.view.js";
+import SessionRoutes from "./view/session.view.js";
+import OAuthRoutes from "./view/oauth.view.js";
+import ApiKeyRoutes from "./view/apiKey.view.js";
+import MockOidcRoutes from "./view/mockOidc.view.js";
+import { startPurgeJob } from "./service/userDeletion.service.js";
+import { backfillSearchGrams } from "./service/userSearch.service.js";
+import { requestContext } from "./middleware/requestContext.middleware.js";
+import { errorHandler, notFound } from "./middleware/error.middleware.js";
+import { MOCK_OIDC_ENABLED } from "./config.js";
 
 const app = express();
-app.use(express.json());
+app.use(requestContext); //first -> even a broken JSON body gets a request id; lets the user history know who made a change
+app.use(express.json({ type: ["application/json", "application/*+json"] })); //also the merge-patch / json-patch bodies of PATCH
+app.use(cookieParser()); //needed to read the refresh token cookie
 
 //Database connection code
 const uri =
@@ -14,11 +30,28 @@ const uri =
 //implement a db connection promise
 mongoose
   .connect(uri)
-  .then(() => console.log("Connected to Database Successfully"))
+  .then(() => {
+    console.log("Connected to Database Successfully");
+    //brings the indexes in line with the schema, e.g. drops the old unique email_1 index
+    //that would still block signing up again with the email of a soft deleted user
+    User.syncIndexes().catch((err) => console.error(err.message));
+    startPurgeJob(); //removes soft deleted users after the retention period
+    backfillSearchGrams().catch((err) => console.error(err.message)); //users saved before the search existed
+  })
   .catch((err) => console.error(err.message));
 
 app.use(UserRoutes);
+app.use(AuthRoutes);
+app.use(AdminRoutes);
+app.use(TwoFactorRoutes);
+app.use(SessionRoutes);
+app.use(OAuthRoutes);
+app.use(ApiKeyRoutes);
+if (MOCK_OIDC_ENABLED) app.use(MockOidcRoutes); //fake "sign in with" provider for development
 app.use(aggregation);
+//after every router -> unknown routes and every error get the same JSON answer
+app.use(notFound);
+app.use(errorHandler);
 //signup, login, reset password, logout, fetch users
 // security
 // database (cloud DB Atlas)
@@ -0,0 +1,114 @@
+import User from "../model/user.model.js";
+import TokenFamily from "../model/tokenFamily.model.js";
+import { verifyAccessToken } from "../service/token.service.js";
+import { verifyApiKey } from "../service/apiKey.service.js";
+import {
+  auditImpersonatedRequest,
+  isImpersonationActive,
+} from "../service/impersonation.service.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.util.js";
+
+//role hierarchy -> every role also gets the permissions of the roles listed for it
+const INHERITS = {
+  superadmin: ["admin"],
+  admin: ["user"],
+  user: ["guest"],
+  guest: [],
+};
+
+//hasRole("superadmin", "admin") -> true
+export const hasRole = (role, required) => {
+  if (role === required) return true;
+  return (INHERITS[role] || []).some((parent) => hasRole(parent, required));
+};
+
+//checks the access token and attaches the payload to req.user
+//the token is also compared with User.tokenVersion, so logout-all and password/role changes take effect immediately
+//and with its session, so a device logged out from the session list is rejected as well
+export const authenticate = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+
+  if (!token) return next(new UnauthorizedError("Token missing"));
+
+  const decoded = await verifyAccessToken(token); // { id, role, tokenVersion }
+  if (!decoded) return next(new UnauthorizedError("Invalid or expired token"));
+
+  const [user, session, impersonator, impersonation] = await Promise.all([
+    User.findById(decoded.id).select("tokenVersion"),
+    decoded.sid && TokenFamily.exists({ _id: decoded.sid, revokedAt: null }),
+    decoded.act && User.findById(decoded.act.sub).select("tokenVersion role"),
+    decoded.imp && isImpersonationActive(decoded.imp),
+  ]);
+  if (!user || user.tokenVersion !== decoded.tokenVersion) {
+    return next(new UnauthorizedError("Token has been revoked"));
+  }
+  //the device was logged out from the session list
+  if (decoded.sid && !session) {
+    return next(new UnauthorizedError("Session has been revoked"));
+  }
+  //impersonation token -> the superadmin behind it must still be a logged in superadmin and the impersonation still running
+  if (decoded.act) {
+    if (
+      !impersonation ||
+      !impersonator ||
+      impersonator.role !== "superadmin" ||
+      impersonator.tokenVersion !== decoded.act.tokenVersion
+    ) {
+      return next(new UnauthorizedError("Impersonation has ended"));
+    }
+    auditImpersonatedRequest(req, res);
+  }
+
+  req.user = decoded;
+  next();
+};
+
+//same as authenticate, but a service can also send an X-API-Key header instead of a user token
+//an API key has no role -> it only passes authorize() through hasScope() rules
+export const authenticateOrApiKey = async (req, res, next) => {
+  const key = req.get("x-api-key");
+  if (!key) return authenticate(req, res, next);
+
+  const apiKey = await verifyApiKey(key);
+  if (!apiKey) return next(new UnauthorizedError("Invalid or expired API key"));
+
+  req.user = { apiKey: String(apiKey._id), scopes: apiKey.scopes };
+  next();
+};
+
+//credentials, roles and keys can only be changed by the real user
+//put this on every such route so an impersonation token can not be used there
+export const denyImpersonation = (req, res, next) => {
+  if (req.user?.act) {
+    return next(new ForbiddenError("Not allowed while impersonating a user"));
+  }
+  next();
+};
+
+//a rule is either a role name or a function (req) => boolean
+//the request is allowed when ANY of the rules passes
+//authorize("admin") -> admins and superadmins
+//authorize("admin", isSelf()) -> admins, or the user the :id param points to
+//authorize("admin", hasScope("users:read")) -> admins, or an API key with that scope
+export const authorize =
+  (...rules) =>
+  (req, res, next) => {
+    if (!req.user) return next(new UnauthorizedError("Not authenticated"));
+
+    const allowed = rules.some((rule) =>
+      typeof rule === "function" ? rule(req) : hasRole(req.user.role, rule)
+    );
+
+    if (!allowed) return next(new ForbiddenError("Access denied"));
+    next();
+  };
+
+//ownership rule -> the logged in user is the one the route param points to
+export const isSelf =
+  (param = "id") =>
+  (req) =>
+    Boolean(req.user.id) && String(req.user.id) === String(req.params[param]);
+
+//API key rule -> the key was created with this scope
+export const hasScope = (scope) => (req) =>
+  Boolean(req.user.scopes?.includes(scope));
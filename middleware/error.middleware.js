@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+import { AppError, NotFoundError } from "../utils/errors.util.js";
+
+//every error ends up here, thrown in a route (express 5 catches rejected async handlers) or passed to next(err)
+//the answer always has the same shape:
+//{ message, code, details?, requestId }
+//unexpected errors are logged with the request id and answered with a generic 500, their message never leaves the server
+
+//E11000 -> which field(s) already exist, e.g. { email: "a@b.com" }
+//deletedAt is part of the unique email index (soft delete), it is not interesting for the client
+const duplicateFields = (err) =>
+  Object.keys(err.keyValue ?? err.keyPattern ?? {}).filter(
+    (field) => field !== "deletedAt"
+  );
+
+//any error -> AppError-like { status, code, message, details }
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return {
+      status: 422,
+      code: "validation_failed",
+      message: "Validation failed",
+      details: Object.values(err.errors).map((error) => ({
+        field: error.path,
+        message: error.message,
+        kind: error.kind,
+      })),
+    };
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return {
+      status: 400,
+      code: "invalid_value",
+      message: `Invalid value for "${err.path}"`,
+      details: [{ field: err.path, kind: err.kind }],
+    };
+  }
+  if (err instanceof mongoose.Error.DocumentNotFoundError) {
+    return new NotFoundError();
+  }
+  //optimisticConcurrency -> someone else saved the document after it was loaded
+  if (err instanceof mongoose.Error.VersionError) {
+    return {
+      status: 412,
+      code: "precondition_failed",
+      message: "The resource was changed by someone else",
+    };
+  }
+  if (err.code === 11000) {
+    const fields = duplicateFields(err);
+    return {
+      status: 409,
+      code: "duplicate_key",
+      message: fields.length
+        ? `${fields.join(", ")} is already in use`
+        : "Duplicate value",
+      details: fields.map((field) => ({ field, kind: "unique" })),
+    };
+  }
+  //body parser errors (broken JSON, body too large...) carry their own 4xx status and a safe message
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return {
+      status: err.status,
+      code: err.type?.replace(/\./g, "_") ?? "bad_request",
+      message: err.message,
+    };
+  }
+
+  return {
+    status: 500,
+    code: "internal_error",
+    message: "Something went wrong",
+  };
+};
+
+//mounted after all routers -> no route matched
+export const notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+//mounted last, the 4 arguments tell express this is the error middleware
+export const errorHandler = (err, req, res, next) => {
+  //the answer is already (partly) sent, e.g. a streamed export -> express can only cut the connection
+  if (res.headersSent) return next(err);
+
+  const error = toAppError(err);
+  if (error.status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, err);
+  }
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+
+  res.status(error.status).json({
+    message: error.message,
+    code: error.code,
+    ...(error.details !== undefined && { details: error.details }),
+    requestId: req.id,
+  });
+};
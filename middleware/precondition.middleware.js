@@ -0,0 +1,15 @@
+import { PreconditionRequiredError } from "../utils/errors.util.js";
+
+//writes to a user have to say which version they are based on (If-Match with the ETag from GET /users/:id)
+//without it two admins editing the same user would silently overwrite each other
+//the handler compares the ETag, this only makes sure the header is there
+export const requireIfMatch = (req, res, next) => {
+  if (!req.get("If-Match")) {
+    return next(
+      new PreconditionRequiredError(
+        "If-Match header with the ETag of the user is required"
+      )
+    );
+  }
+  next();
+};
@@ -0,0 +1,36 @@
+import { TooManyRequestsError } from "../utils/errors.util.js";
+
+//small in-memory rate limiter (same idea as express-rate-limit in security.js)
+//every limiter keeps its own counters, so each route can have its own throttle
+//counters live in this process only -> use a shared store (redis) when running several instances
+export const rateLimit = ({
+  windowMs,
+  max,
+  message = "Too many requests, please try again later",
+  key = (req) => req.ip,
+}) => {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const id = key(req);
+
+    let entry = hits.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(id, entry);
+    }
+    entry.count += 1;
+
+    //forget old entries now and then so the map does not grow forever
+    if (hits.size > 10000) {
+      for (const [k, v] of hits) if (v.resetAt <= now) hits.delete(k);
+    }
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      return next(new TooManyRequestsError(message, retryAfter));
+    }
+    next();
+  };
+};
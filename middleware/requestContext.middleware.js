@@ -0,0 +1,16 @@
+import { randomUUID } from "crypto";
+import { runWithRequest } from "../utils/requestContext.util.js";
+
+//an id a proxy / the client already gave the request is kept, so one id can be followed through several services
+//anything else (too long, odd characters) is replaced, it ends up in logs and response headers
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+//mount before the routers -> everything that runs for this request can call currentRequest()
+//also gives every request an id (req.id, X-Request-Id header), error answers and logs mention it
+export const requestContext = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = REQUEST_ID_PATTERN.test(incoming ?? "") ? incoming : randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  runWithRequest(req, next);
+};
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+//single use tokens that are mailed to a user (password reset, email verification)
+//only the sha256 hash of the token is stored
+const actionTokenSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["password_reset", "email_verification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0, //TTL index
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ActionToken = mongoose.model("ActionTokens", actionTokenSchema);
+
+export default ActionToken;
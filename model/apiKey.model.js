@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+export const API_KEY_SCOPES = ["users:read", "users:write", "analytics:read"];
+
+//keys for batch jobs and other services, sent in the X-API-Key header
+//only the sha256 hash is stored, the key itself is shown once when it is created
+const apiKeySchema = mongoose.Schema(
+  {
+    name: {
+      type: String, //what the key is for, e.g. "nightly import"
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String, //first characters of the key, lets admins recognise a key without storing it
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [String],
+      enum: API_KEY_SCOPES,
+      required: true,
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, //no value -> the key does not expire
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.keyHash;
+        return ret;
+      },
+    },
+  }
+);
+
+const ApiKey = mongoose.model("ApiKeys", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+//append-only record of sensitive actions (impersonation, ...)
+//nothing in the app updates or deletes these documents
+const auditLogSchema = mongoose.Schema(
+  {
+    action: {
+      type: String, //e.g. "impersonation.start"
+      required: true,
+      index: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId, //who did it
+      ref: "Users",
+      index: true,
+    },
+    actorApiKey: {
+      type: mongoose.Schema.Types.ObjectId, //who did it, when it was a service with an API key
+      ref: "ApiKeys",
+      index: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId, //who it was done to / as
+      ref: "Users",
+      index: true,
+    },
+    impersonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Impersonations",
+    },
+    method: String,
+    path: String,
+    status: Number,
+    ip: String,
+    userAgent: String,
+    details: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+const AuditLog = mongoose.model("AuditLogs", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+//one entry per create / update / delete of a tracked document (see history.plugin.js)
+//append-only like the audit log
+const historySchema = mongoose.Schema(
+  {
+    model: {
+      type: String, //name of the tracked model, e.g. "Users"
+      required: true,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      //restore -> a soft deleted document came back, revert -> fields set back to an older version
+      enum: ["create", "update", "delete", "restore", "revert"],
+      required: true,
+    },
+    actor: {
+      //who made the change, all empty for changes without a request (startup, purge job)
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+      apiKey: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKeys" },
+      impersonator: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+    },
+    changes: [
+      {
+        _id: false,
+        path: { type: String, required: true }, //"role", "twoFactor.enabled"...
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        redacted: Boolean, //sensitive field -> only the fact that it changed is stored
+      },
+    ],
+    details: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+historySchema.index({ model: 1, documentId: 1, _id: -1 });
+
+const History = mongoose.model("Histories", historySchema);
+
+export default History;
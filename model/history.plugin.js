@@ -0,0 +1,215 @@
+import mongoose from "mongoose";
+import History from "./history.model.js";
+import { currentRequest } from "../utils/requestContext.util.js";
+
+//records every create, update and delete of a model in the Histories collection with a field level diff
+//covers save() / create(), insertMany(), the update queries (findOneAndUpdate, updateOne, updateMany...)
+//and the delete queries (deleteOne, deleteMany, findOneAndDelete)
+//redact -> paths whose values are never stored, only that they changed (password...)
+//ignore -> paths that change all the time and are not interesting (updatedAt...)
+//apply it after the model's own hooks, so the filters and updates it sees are the final ones
+//a query with .setOptions({ skipHistory: true }) is not recorded (e.g. the retention purge, it must not keep a copy)
+
+const UPDATE_QUERIES = [
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+];
+const DELETE_QUERIES = ["deleteOne", "deleteMany", "findOneAndDelete"];
+const SINGLE_QUERIES = [
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "updateOne",
+  "replaceOne",
+  "deleteOne",
+  "findOneAndDelete",
+];
+
+//a query has no $locals -> the documents seen before it ran are kept here until its post hook
+const pendingBefore = new WeakMap();
+
+//who is behind the current request, empty outside of a request
+const currentActor = () => {
+  const user = currentRequest()?.user;
+  if (!user) return {};
+
+  return {
+    user: user.id,
+    apiKey: user.apiKey,
+    impersonator: user.act?.sub,
+  };
+};
+
+//{ twoFactor: { enabled: true } } -> { "twoFactor.enabled": true }
+//arrays, dates and ids are values, not objects
+const flatten = (value, prefix = "", result = {}) => {
+  if (value?.constructor === Object && Object.keys(value).length) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, result);
+    }
+  } else if (prefix) {
+    result[prefix] =
+      value instanceof mongoose.Types.ObjectId ? String(value) : value;
+  }
+  return result;
+};
+
+const matchesPath = (path, paths) =>
+  paths.some((entry) => path === entry || path.startsWith(`${entry}.`));
+
+//missing and null are the same thing for a diff
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export const historyPlugin = (schema, { redact = [], ignore = [] } = {}) => {
+  const diff = (before, after) => {
+    const from = flatten(before);
+    const to = flatten(after);
+    const changes = [];
+
+    for (const path of new Set([...Object.keys(from), ...Object.keys(to)])) {
+      if (matchesPath(path, ignore) || same(from[path], to[path])) continue;
+
+      changes.push(
+        matchesPath(path, redact)
+          ? { path, redacted: true }
+          : { path, from: from[path] ?? null, to: to[path] ?? null }
+      );
+    }
+    return changes;
+  };
+
+  //a soft delete / restore is an update of deletedAt, it gets its own action so it is easy to find
+  const updateAction = (changes) => {
+    const deletedAt = changes.find((change) => change.path === "deletedAt");
+    if (!deletedAt) return "update";
+    return deletedAt.to ? "delete" : "restore";
+  };
+
+  //a failing history write is logged, it must not undo or fail the change itself
+  const record = async (modelName, entries) => {
+    const actor = currentActor();
+    const useful = entries.filter(
+      (entry) => entry.action === "delete" || entry.changes.length
+    );
+    if (!useful.length) return;
+
+    try {
+      await History.insertMany(
+        useful.map((entry) => ({ ...entry, model: modelName, actor }))
+      );
+    } catch (err) {
+      console.error(`Could not write history: ${err.message}`);
+    }
+  };
+
+  //documents -> remember how they looked when they were loaded, save() compares against that
+  schema.post("init", function () {
+    this.$locals.historyBefore = this.toObject({ depopulate: true });
+  });
+
+  schema.pre("save", function () {
+    this.$locals.historyIsNew = this.isNew;
+  });
+
+  schema.post("save", async function () {
+    const after = this.toObject({ depopulate: true });
+    const before = this.$locals.historyIsNew
+      ? {}
+      : (this.$locals.historyBefore ?? {});
+    this.$locals.historyBefore = after;
+
+    const changes = diff(before, after);
+    await record(this.constructor.modelName, [
+      {
+        documentId: this._id,
+        action: this.$locals.historyIsNew
+          ? "create"
+          : (this.$locals.historyAction ?? updateAction(changes)),
+        changes,
+        details: this.$locals.historyDetails,
+      },
+    ]);
+  });
+
+  const recordInserted = (modelName, docs) =>
+    record(
+      modelName,
+      docs.map((doc) => {
+        const after = doc.toObject ? doc.toObject({ depopulate: true }) : doc;
+        return {
+          documentId: after._id,
+          action: "create",
+          changes: diff({}, after),
+        };
+      })
+    );
+
+  schema.post("insertMany", async function (docs) {
+    await recordInserted(this.modelName, docs);
+  });
+
+  //ordered: false and some rows failed (e.g. a taken email) -> insertMany rejects and the hook above never runs,
+  //the rows that did get in are in err.insertedDocs
+  //(error, docs, next) -> mongoose calls this one only when insertMany failed, the error is passed on unchanged
+  schema.post("insertMany", function (err, docs, next) {
+    if (!err.insertedDocs?.length) return next(err);
+
+    recordInserted(this.modelName, err.insertedDocs).then(() => next(err));
+  });
+
+  //queries -> load the matching documents before the query runs, compare with the stored ones afterwards
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], async function () {
+    if (this.getOptions().skipHistory) return;
+
+    let query = this.model
+      .find(this.getFilter())
+      .setOptions({ withDeleted: true }) //the filter is final already (including the soft delete condition)
+      .lean();
+
+    if (SINGLE_QUERIES.includes(this.op)) {
+      query = query.sort(this.getOptions().sort ?? {}).limit(1);
+    }
+    pendingBefore.set(this, await query);
+  });
+
+  schema.post(UPDATE_QUERIES, async function () {
+    const before = pendingBefore.get(this);
+    pendingBefore.delete(this);
+    if (!before?.length) return;
+
+    const after = await this.model
+      .find({ _id: { $in: before.map((doc) => doc._id) } })
+      .setOptions({ withDeleted: true })
+      .lean();
+    const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+
+    await record(
+      this.model.modelName,
+      before.map((doc) => {
+        const changes = diff(doc, afterById.get(String(doc._id)) ?? {});
+        return {
+          documentId: doc._id,
+          action: updateAction(changes),
+          changes,
+        };
+      })
+    );
+  });
+
+  schema.post(DELETE_QUERIES, async function () {
+    const before = pendingBefore.get(this);
+    pendingBefore.delete(this);
+    if (!before?.length) return;
+
+    await record(
+      this.model.modelName,
+      before.map((doc) => ({
+        documentId: doc._id,
+        action: "delete",
+        changes: diff(doc, {}),
+      }))
+    );
+  });
+};
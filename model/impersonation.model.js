@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+//a superadmin acting as another user
+//the impersonation token points at this document, ending it makes the token useless right away
+const impersonationSchema = mongoose.Schema(
+  {
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Impersonation = mongoose.model("Impersonations", impersonationSchema);
+
+export default Impersonation;
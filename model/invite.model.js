@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import { ROLES } from "./user.model.js";
+
+//an admin invites someone to sign up with a role they could not pick themselves
+const inviteSchema = mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    usedAt: {
+      type: Date, //single use -> set when the invite is claimed
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0, //TTL index
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Invite = mongoose.model("Invites", inviteSchema);
+
+export default Invite;
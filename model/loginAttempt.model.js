@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+//failed login counter for one key
+//key is "account:<email>" or "ip:<address>"
+//accounts are tracked by the typed email, so unknown emails behave exactly like registered ones
+const loginAttemptSchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date, //no login attempt is accepted before this time
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0, //TTL index -> the counter resets after a quiet period
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempts", loginAttemptSchema);
+
+export default LoginAttempt;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+//one started "sign in with ..." flow
+//state protects the callback against CSRF, nonce ties the id_token to this flow, codeVerifier is the PKCE secret
+const oauthStateSchema = mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0, //TTL index -> abandoned flows disappear
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const OAuthState = mongoose.model("OAuthStates", oauthStateSchema);
+
+export default OAuthState;
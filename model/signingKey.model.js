@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+//key pairs used to sign access tokens
+//kept in the database so every server instance signs with the same key and publishes the same JWKS
+const signingKeySchema = mongoose.Schema(
+  {
+    kid: {
+      type: String, //key id -> written into the token header so verifiers know which public key to use
+      required: true,
+      unique: true,
+    },
+    alg: {
+      type: String,
+      enum: ["RS256", "EdDSA"],
+      required: true,
+    },
+    publicKey: {
+      type: String, //PEM (spki)
+      required: true,
+    },
+    privateKey: {
+      type: String, //PEM (pkcs8)
+      required: true,
+      select: false,
+    },
+    signUntil: {
+      type: Date, //new tokens are signed with this key until then
+      required: true,
+    },
+    verifyUntil: {
+      type: Date, //tokens signed with this key are accepted until then (signUntil + grace window)
+      required: true,
+      expires: 0, //TTL index
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SigningKey = mongoose.model("SigningKeys", signingKeySchema);
+
+export default SigningKey;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+//every login starts a new token family
+//each refresh replaces the current token of the family with a new one (rotation)
+//only the id (jti) of the latest refresh token is kept, any older token of the same family is a reused token
+//a family is also what the user sees as one logged in device (session)
+const tokenFamilySchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+      index: true,
+    },
+    tokenVersion: {
+      //User.tokenVersion at login, the family dies when the user's version moves on
+      type: Number,
+      required: true,
+    },
+    currentJti: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String, //browser / app that logged in
+    },
+    ip: {
+      type: String, //IP at login
+    },
+    lastIp: {
+      type: String, //IP of the last refresh
+    },
+    lastUsedAt: {
+      type: Date, //last refresh
+    },
+    revokedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0, //TTL index -> mongodb deletes the family once it has expired
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const TokenFamily = mongoose.model("TokenFamilies", tokenFamilySchema);
+
+export default TokenFamily;
@@ -1,10 +1,69 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import { BCRYPT_ROUNDS, PASSWORD_HISTORY_SIZE } from "../config.js";
+import { checkPasswordRules } from "../utils/passwordPolicy.util.js";
+import { SEARCH_GRAMS_VERSION, trigrams } from "../utils/search.util.js";
+import { historyPlugin } from "./history.plugin.js";
+
+//the password policy is checked on the plain text password the user types
+//the stored value is a 60 character bcrypt hash, so the rules can never be applied to the saved field directly
+const policyMessage = (violations) =>
+  violations.map((violation) => violation.message).join(", ");
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+//users saved before passwords were hashed still have the plain text in the password field
+//they can still log in, and the login replaces the plain text with a hash (see needsRehash)
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+const isBcryptHash = (value) => BCRYPT_HASH.test(value);
+
+//typed password vs stored value (a hash, or the plain text of an old account)
+//the plain text comparison runs on digests, so it takes the same time no matter where the strings differ
+const matchesStored = async (password, stored) => {
+  if (isBcryptHash(stored)) return bcrypt.compare(password, stored);
+
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(password), digest(stored));
+};
+
+export const ROLES = ["user", "admin", "superadmin", "guest"];
+
+//the fields clients can see, only changing one of them gives the user a new version (__v) and a new ETag
+//password, tokenVersion, search trigrams, 2FA secrets... change behind the client's back (login rehash, backfill, logout everywhere)
+//and must not make their If-Match fail
+const VERSIONED_FIELDS = [
+  "name",
+  "age",
+  "email",
+  "role",
+  "identities",
+  "emailVerified",
+  "twoFactor.enabled",
+  "deletedAt",
+  "deletedBy",
+  "deletedByApiKey",
+];
+
+//update path -> true when it writes a versioned field, a parent of one ("twoFactor") or a part of one ("identities.0")
+const isVersionedPath = (path) =>
+  VERSIONED_FIELDS.some(
+    (field) =>
+      path === field ||
+      path.startsWith(`${field}.`) ||
+      field.startsWith(`${path}.`)
+  );
 
 //defined the schema
 //define the fields that are allowed
 //defining rules for each and every field
 //mongoose has built in validators
 
+//users created by signing in with an external provider have no password or age
+function isLocalAccount() {
+  return !this.identities?.length;
+}
+
 //OOP -> DOP-> Document oriented programming
 const userSchema = mongoose.Schema(
   {
@@ -16,17 +75,16 @@ const userSchema = mongoose.Schema(
     },
     age: {
       type: Number,
-      required: true,
+      required: isLocalAccount, //external providers do not tell us the age
+
       min: [18, "You are too young"], //minimum allowed value of the number
       max: 100, //maximum allowed value of the number
     },
     email: {
       type: String,
-      index: true, //that will make querying through email faster
       required: true,
       lowercase: true, //make sure that all the characters that we have entered are converted to lowercase
-      unique: [true, "this is my custom error for duplicate email"],
-      //this will make sure that no duplicated email is used by an user
+      //unique per live account -> see the { email, deletedAt } index below
       validate: {
         validator: function (email) {
           // return (email.includes("@") && email.includs(".com"))
@@ -39,24 +97,368 @@ const userSchema = mongoose.Schema(
     },
     password: {
       type: String,
-      required: true,
-      minLength: 8,
-      maxLength: 20,
+      required: isLocalAccount, //users that only sign in with google/github have no password
+      validate: {
+        validator: function (password) {
+          //update validators run after the update hook below has already checked and hashed the raw value
+          if (!(this instanceof mongoose.Document)) return true;
+
+          const violations = checkPasswordRules(password);
+          if (violations.length) throw new Error(policyMessage(violations));
+          return true;
+        },
+      },
       select: false, //will make sure that whenever we are fetching any user details, password is not included in that
     },
+    passwordHistory: {
+      type: [String], //hashes of the previous passwords, newest first
+      select: false,
+    },
     role: {
       type: String,
-      enum: ["user", "admin", "superadmin", "guest"], //enumeration -> array of allowed values
+      enum: ROLES, //enumeration -> array of allowed values
       default: "user", //if the user doesnt manually add role, use this value
       required: true,
     },
+    identities: [
+      //accounts at external providers (google, github...) that can be used to log in as this user
+      {
+        _id: false,
+        provider: { type: String, required: true },
+        subject: { type: String, required: true }, //the user's id at the provider
+      },
+    ],
+    emailVerified: {
+      //set once the user opened the link from the verification mail
+      type: Boolean,
+      default: false,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String, //base32 TOTP secret shared with the authenticator app
+        select: false,
+      },
+      pendingSecret: {
+        type: String, //secret of an enrollment that was started but not confirmed yet
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String], //sha256 hashes, each one can be used once instead of a code
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number, //time step of the last accepted code -> the same code can not be replayed
+        select: false,
+      },
+    },
+    tokenVersion: {
+      //copied into every issued token, increasing it makes all existing tokens of this user invalid
+      type: Number,
+      default: 0,
+    },
+    searchGrams: {
+      //trigrams of name and email for the typo tolerant search (utils/search.util.js), kept up to date by the hooks below
+      name: { type: [String], select: false },
+      email: { type: [String], select: false },
+      version: { type: Number, select: false }, //SEARCH_GRAMS_VERSION they were computed with, missing -> the backfill has not seen the user yet
+    },
+    deletedAt: {
+      //soft delete -> the user is hidden from every query and purged after USER_RETENTION_DAYS
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      default: null,
+    },
+    deletedByApiKey: {
+      //set instead of deletedBy when a service deleted the user with an API key
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKeys",
+      default: null,
+    },
   },
 
   {
     timestamps: true, //logging the data-> it will keep a record of when the data was created and when it was last updated
+    optimisticConcurrency: VERSIONED_FIELDS, //save() fails with a VersionError when the document changed since it was loaded
+    toJSON: {
+      //never send the hash back, even when the password was selected with +password
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.passwordHistory;
+        delete ret.searchGrams;
+        if (ret.twoFactor) ret.twoFactor = { enabled: ret.twoFactor.enabled };
+        return ret;
+      },
+    },
   }
 );
 
+//an update can set a field as { field } or { $set: { field } }
+//returns the object that holds the field, or null when the update does not touch it
+const updateTarget = (update, field) => {
+  if (update.$set && field in update.$set) return update.$set;
+  if (field in update) return update;
+  return null;
+};
+
+//log the user out everywhere when the credentials or the permissions change
+userSchema.pre("save", function () {
+  if (this.isNew || this.$locals.keepTokenVersion) return;
+
+  if (this.isModified("password") || this.isModified("role")) {
+    this.tokenVersion += 1;
+  }
+});
+
+userSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  if (!update) return;
+
+  if (updateTarget(update, "password") || updateTarget(update, "role")) {
+    update.$inc = { ...update.$inc, tokenVersion: 1 };
+    this.setUpdate(update);
+  }
+});
+
+//update queries do not touch __v on their own -> bump it so ETags change and a concurrent save() notices
+//an update that only writes internal fields keeps __v and updatedAt (set by the timestamps hook, which runs first)
+userSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  if (!update) return;
+
+  const paths = Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith("$") ? Object.keys(value ?? {}) : [key]
+  );
+
+  if (paths.some(isVersionedPath)) {
+    update.$inc = { ...update.$inc, __v: 1 };
+  } else if (update.$set) {
+    delete update.$set.updatedAt;
+    if (!Object.keys(update.$set).length) delete update.$set;
+  }
+  this.setUpdate(update);
+});
+
+//a new address has to be verified again
+userSchema.pre("save", function () {
+  if (!this.isNew && this.isModified("email")) this.emailVerified = false;
+});
+
+userSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  if (!update || !updateTarget(update, "email")) return;
+
+  update.$set = { ...update.$set, emailVerified: false };
+  this.setUpdate(update);
+});
+
+//search trigrams follow the name and the email
+//the version is only set when both are computed, updating one field keeps the other's (maybe outdated) trigrams
+userSchema.pre("save", function () {
+  for (const field of ["name", "email"]) {
+    if (this.isNew || this.isModified(field)) {
+      this.set(`searchGrams.${field}`, trigrams(this[field]));
+    }
+  }
+  if (this.isNew) this.set("searchGrams.version", SEARCH_GRAMS_VERSION);
+});
+
+userSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  if (!update) return;
+
+  for (const field of ["name", "email"]) {
+    const target = updateTarget(update, field);
+    if (target) {
+      update.$set = {
+        ...update.$set,
+        [`searchGrams.${field}`]: trigrams(target[field]),
+      };
+    }
+  }
+  this.setUpdate(update);
+});
+
+//hashing
+//save() validates first and then runs this hook, so the length rules above are checked on the raw password
+userSchema.pre("save", async function () {
+  if (!this.isModified("password")) return;
+
+  this.password = await hashPassword(this.password);
+});
+
+//findOneAndUpdate / updateOne / updateMany do not run save hooks, so the password has to be hashed here as well
+userSchema.pre(
+  ["findOneAndUpdate", "updateOne", "updateMany"],
+  async function () {
+    const update = this.getUpdate();
+    if (!update) return;
+
+    const target = updateTarget(update, "password");
+    if (!target) return;
+
+    //the password history is only kept by setPassword() on a document
+    const password = target.password;
+    const violations = checkPasswordRules(password);
+    if (violations.length) {
+      const err = new mongoose.Error.ValidationError();
+      err.addError(
+        "password",
+        new mongoose.Error.ValidatorError({
+          path: "password",
+          message: policyMessage(violations),
+          value: password,
+        })
+      );
+      throw err;
+    }
+
+    target.password = await hashPassword(password);
+    this.setUpdate(update);
+  }
+);
+
+//change the password and remember the old hash
+//the document must have been fetched with .select("+password +passwordHistory")
+userSchema.methods.setPassword = function (password) {
+  if (this.password) {
+    this.passwordHistory = [
+      this.password,
+      ...(this.passwordHistory || []),
+    ].slice(0, PASSWORD_HISTORY_SIZE);
+  }
+  this.password = password;
+};
+
+//true when the password is the current one or one of the last PASSWORD_HISTORY_SIZE
+//the document must have been fetched with .select("+password +passwordHistory")
+userSchema.methods.isPasswordReused = async function (password) {
+  const hashes = [this.password, ...(this.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_HISTORY_SIZE + 1);
+
+  for (const hash of hashes) {
+    if (await matchesStored(password, hash)) return true;
+  }
+  return false;
+};
+
+//also used by the bulk import, insertMany() does not run the save hooks
+userSchema.statics.hashPassword = hashPassword;
+
+//compare the typed password with the stored hash
+//the document must have been fetched with .select("+password")
+userSchema.methods.comparePassword = async function (password) {
+  if (typeof password !== "string" || !this.password) return false;
+  return matchesStored(password, this.password);
+};
+
+//compared against when the email is unknown, so a wrong email takes as long as a wrong password
+const DUMMY_HASH = bcrypt.hashSync("dummy-password", BCRYPT_ROUNDS);
+
+//returns the user (with the password hash selected) or null
+//never tells the caller whether the email or the password was wrong
+userSchema.statics.findByCredentials = async function (email, password) {
+  const user = await this.findOne({
+    email: String(email).toLowerCase().trim(),
+  }).select("+password");
+
+  if (!user) {
+    await bcrypt.compare(String(password), DUMMY_HASH);
+    return null;
+  }
+
+  return (await user.comparePassword(password)) ? user : null;
+};
+
+//true when the hash was made with a different cost factor than the one configured now
+//or when the password is still stored as plain text
+userSchema.methods.needsRehash = function () {
+  if (!isBcryptHash(this.password)) return true;
+  return bcrypt.getRounds(this.password) !== BCRYPT_ROUNDS;
+};
+
+//soft deleted users are hidden from every query and aggregation
+//opt out with .setOptions({ withDeleted: true }) or by filtering on deletedAt yourself
+userSchema.pre(
+  [
+    "countDocuments",
+    "deleteMany",
+    "deleteOne",
+    "distinct",
+    "find",
+    "findOne",
+    "findOneAndDelete",
+    "findOneAndReplace",
+    "findOneAndUpdate",
+    "replaceOne",
+    "updateMany",
+    "updateOne",
+  ],
+  function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  }
+);
+
+userSchema.pre("aggregate", function () {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+//an email can only belong to one live account
+//deleted accounts keep their address (for a restore) without blocking a new signup with it:
+//live users all share deletedAt: null, deleted ones each have their own timestamp
+//(databases created before soft delete still have the old unique email_1 index -> index.js runs User.syncIndexes() on connect)
+userSchema.index({ email: 1, deletedAt: 1 }, { unique: true });
+
+//ranked full text search over name and email, a match in the name counts more
+userSchema.index(
+  { name: "text", email: "text" },
+  { name: "user_text_search", weights: { name: 3, email: 1 } }
+);
+userSchema.index({ "searchGrams.name": 1 });
+userSchema.index({ "searchGrams.email": 1 });
+
+//one live user per provider account (same idea as the email index above)
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1, deletedAt: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
+//who changed what and when -> GET /users/:id/history
+//last, so the history hooks see the final filters and updates of the hooks above
+userSchema.plugin(historyPlugin, {
+  redact: [
+    "password",
+    "passwordHistory",
+    "twoFactor.secret",
+    "twoFactor.pendingSecret",
+    "twoFactor.recoveryCodes",
+  ],
+  ignore: [
+    "_id",
+    "__v",
+    "updatedAt",
+    "searchGrams",
+    "tokenVersion",
+    "twoFactor.lastUsedStep",
+  ],
+});
+
 //model
 //ensure a schema is applied to data and in what collection is it stored
 const User = mongoose.model("Users", userSchema);
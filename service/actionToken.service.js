@@ -0,0 +1,68 @@
+import ActionToken from "../model/actionToken.model.js";
+import { hashToken, randomToken } from "../utils/crypto.util.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+//creates a new token and cancels the older unused ones of the same purpose
+//returns the raw token -> it only ever leaves the server inside a mail
+export const createActionToken = async (userId, purpose, ttlMinutes) => {
+  await ActionToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = randomToken();
+  await ActionToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * MINUTE),
+  });
+
+  return token;
+};
+
+//per account mail throttle -> a short cooldown between mails and a maximum per hour
+//the mails themselves are the record, every sent mail left a token behind
+export const canSendActionToken = async (
+  userId,
+  purpose,
+  { cooldownSeconds, maxPerHour }
+) => {
+  const recent = await ActionToken.find({
+    user: userId,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - HOUR) },
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt");
+
+  if (recent.length >= maxPerHour) return false;
+  if (
+    recent.length &&
+    Date.now() - recent[0].createdAt.getTime() < cooldownSeconds * 1000
+  ) {
+    return false;
+  }
+  return true;
+};
+
+const usableToken = (token, purpose) => ({
+  tokenHash: hashToken(token),
+  purpose,
+  usedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+//look at the token without using it up
+export const findActionToken = (token, purpose) =>
+  ActionToken.findOne(usableToken(token, purpose));
+
+//uses the token up in one atomic step -> a second call with the same token returns null
+export const consumeActionToken = (token, purpose) =>
+  ActionToken.findOneAndUpdate(
+    usableToken(token, purpose),
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
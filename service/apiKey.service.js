@@ -0,0 +1,61 @@
+import ApiKey from "../model/apiKey.model.js";
+import { hashToken, randomToken } from "../utils/crypto.util.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const LAST_USED_PRECISION_MS = 60 * 1000; //do not write to the database on every single request
+
+//returns the plain key -> it is only ever shown in this response
+export const createApiKey = async ({
+  name,
+  scopes,
+  expiresInDays,
+  createdBy,
+}) => {
+  const key = `sk_${randomToken(32)}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    scopes,
+    createdBy,
+    prefix: key.slice(0, 10),
+    keyHash: hashToken(key),
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + Number(expiresInDays) * DAY)
+      : undefined,
+  });
+
+  return { apiKey, key };
+};
+
+export const listApiKeys = () => ApiKey.find().sort({ createdAt: -1 });
+
+//returns false when there is no active key with that id
+export const revokeApiKey = async (id) => {
+  const result = await ApiKey.updateOne(
+    { _id: id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+//returns the key document, or null when the key is unknown, revoked or expired
+export const verifyApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (!apiKey) return null;
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_PRECISION_MS
+  ) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  return apiKey;
+};
@@ -0,0 +1,32 @@
+import AuditLog from "../model/auditLog.model.js";
+
+//writes one audit entry, the request (when given) adds method, path, IP and user agent
+//actor -> user id, actorApiKey -> API key id for requests made with X-API-Key
+export const writeAudit = ({
+  action,
+  actor,
+  actorApiKey,
+  target,
+  impersonation,
+  req,
+  status,
+  details,
+}) =>
+  AuditLog.create({
+    action,
+    actor,
+    actorApiKey,
+    target,
+    impersonation,
+    status,
+    details,
+    ...(req && {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    }),
+  });
+
+export const listAudit = (filter = {}, limit = 100) =>
+  AuditLog.find(filter).sort({ createdAt: -1 }).limit(limit);
@@ -0,0 +1,61 @@
+import User from "../model/user.model.js";
+import {
+  canSendActionToken,
+  consumeActionToken,
+  createActionToken,
+} from "./actionToken.service.js";
+import { sendMail } from "./mail.service.js";
+import {
+  APP_URL,
+  EMAIL_VERIFICATION_COOLDOWN_SECONDS,
+  EMAIL_VERIFICATION_MAX_PER_HOUR,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  REQUIRE_VERIFIED_EMAIL_ROLES,
+} from "../config.js";
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createActionToken(
+    user._id,
+    "email_verification",
+    EMAIL_VERIFICATION_TTL_HOURS * 60
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email",
+    text: `Open this link to verify your email address. It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n${APP_URL}/verify-email/${token}`,
+  });
+};
+
+//returns the verified user, or null when the token is unknown, expired or already used
+export const verifyEmail = async (token) => {
+  const actionToken = await consumeActionToken(token, "email_verification");
+  if (!actionToken) return null;
+
+  return User.findByIdAndUpdate(
+    actionToken.user,
+    { $set: { emailVerified: true } },
+    { new: true }
+  );
+};
+
+const canResend = (userId) =>
+  canSendActionToken(userId, "email_verification", {
+    cooldownSeconds: EMAIL_VERIFICATION_COOLDOWN_SECONDS,
+    maxPerHour: EMAIL_VERIFICATION_MAX_PER_HOUR,
+  });
+
+//does nothing for unknown, already verified or throttled accounts
+//the caller answers the same way in every case so the endpoint can not be used to probe for emails
+export const resendVerificationEmail = async (email) => {
+  const user = await User.findOne({
+    email: String(email).toLowerCase().trim(),
+  });
+  if (!user || user.emailVerified) return;
+  if (!(await canResend(user._id))) return;
+
+  await sendVerificationEmail(user);
+};
+
+export const requiresVerifiedEmail = (user) =>
+  REQUIRE_VERIFIED_EMAIL_ROLES.includes(user.role) && !user.emailVerified;
@@ -0,0 +1,77 @@
+import Impersonation from "../model/impersonation.model.js";
+import { signAccessToken } from "./token.service.js";
+import { writeAudit } from "./audit.service.js";
+import { IMPERSONATION_TTL_MINUTES } from "../config.js";
+
+//issues a short lived access token for target, with the superadmin recorded as the actor
+//there is no refresh token -> when it expires the superadmin has to start again
+export const startImpersonation = async (req, impersonator, target, reason) => {
+  const impersonation = await Impersonation.create({
+    impersonator: impersonator._id,
+    target: target._id,
+    reason,
+    expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000),
+  });
+
+  const accessToken = await signAccessToken(target, {
+    //act -> "actor" claim (RFC 8693), the real person behind the token
+    claims: {
+      act: {
+        sub: String(impersonator._id),
+        tokenVersion: impersonator.tokenVersion,
+      },
+      imp: String(impersonation._id),
+    },
+    expiresIn: `${IMPERSONATION_TTL_MINUTES}m`,
+  });
+
+  await writeAudit({
+    action: "impersonation.start",
+    actor: impersonator._id,
+    target: target._id,
+    impersonation: impersonation._id,
+    req,
+    details: { reason },
+  });
+
+  return { impersonation, accessToken };
+};
+
+//returns false when the impersonation already ended
+export const stopImpersonation = async (req) => {
+  const result = await Impersonation.updateOne(
+    { _id: req.user.imp, endedAt: null },
+    { $set: { endedAt: new Date() } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  await writeAudit({
+    action: "impersonation.stop",
+    actor: req.user.act.sub,
+    target: req.user.id,
+    impersonation: req.user.imp,
+    req,
+  });
+  return true;
+};
+
+export const isImpersonationActive = (id) =>
+  Impersonation.exists({
+    _id: id,
+    endedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+//logs every request made with an impersonation token once the response is sent
+export const auditImpersonatedRequest = (req, res) => {
+  res.on("finish", () => {
+    writeAudit({
+      action: "impersonation.request",
+      actor: req.user.act.sub,
+      target: req.user.id,
+      impersonation: req.user.imp,
+      req,
+      status: res.statusCode,
+    }).catch((err) => console.error(err.message));
+  });
+};
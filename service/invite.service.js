@@ -0,0 +1,38 @@
+import Invite from "../model/invite.model.js";
+import { hashToken, randomToken } from "../utils/crypto.util.js";
+import { INVITE_TTL_HOURS } from "../config.js";
+
+const HOUR = 60 * 60 * 1000;
+
+//returns the raw token -> it is shown to the admin once and never stored
+export const createInvite = async ({ email, role, invitedBy }) => {
+  const token = randomToken();
+
+  const invite = await Invite.create({
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * HOUR),
+  });
+
+  return { invite, token };
+};
+
+//marks the invite as used in one atomic step, so the same token can not be claimed twice
+//returns null when the token is unknown, expired, already used or meant for another email
+export const claimInvite = (token, email) =>
+  Invite.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      email: String(email).toLowerCase().trim(),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+//the signup failed after the invite was claimed -> make it usable again
+export const releaseInvite = (invite) =>
+  Invite.updateOne({ _id: invite._id }, { $unset: { usedAt: 1 } });
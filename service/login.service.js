@@ -0,0 +1,27 @@
+import { sendLoginTokens } from "./token.service.js";
+import { requiresTwoFactor, signChallengeToken } from "./twoFactor.service.js";
+import { requiresVerifiedEmail } from "./emailVerification.service.js";
+import { ForbiddenError } from "../utils/errors.util.js";
+
+//runs once the user proved who they are (password, external provider...)
+//applies the email verification and 2FA rules and then answers the request
+export const completeLogin = async (req, res, user) => {
+  if (requiresVerifiedEmail(user)) {
+    throw new ForbiddenError("Please verify your email before logging in");
+  }
+
+  //2FA -> the first factor alone is not enough, hand out a challenge token for the second step
+  const twoFactorEnabled = user.twoFactor?.enabled;
+  if (twoFactorEnabled || requiresTwoFactor(user)) {
+    return res.status(200).json({
+      message: twoFactorEnabled
+        ? "Enter the code from your authenticator app"
+        : "Two factor authentication must be set up for your role",
+      twoFactorRequired: Boolean(twoFactorEnabled),
+      twoFactorSetupRequired: !twoFactorEnabled,
+      challengeToken: signChallengeToken(user),
+    });
+  }
+
+  await sendLoginTokens(req, res, user);
+};
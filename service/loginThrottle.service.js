@@ -0,0 +1,83 @@
+import LoginAttempt from "../model/loginAttempt.model.js";
+import {
+  LOGIN_ACCOUNT_BACKOFF_AFTER,
+  LOGIN_ACCOUNT_LOCK_AFTER,
+  LOGIN_BACKOFF_BASE_SECONDS,
+  LOGIN_BACKOFF_MAX_SECONDS,
+  LOGIN_FAILURE_WINDOW_HOURS,
+  LOGIN_IP_BACKOFF_AFTER,
+  LOGIN_IP_LOCK_AFTER,
+  LOGIN_LOCK_MINUTES,
+} from "../config.js";
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+//how long the key has to wait after its n-th failure, in milliseconds
+const waitAfter = (failures, backoffAfter, lockAfter) => {
+  if (failures >= lockAfter) return LOGIN_LOCK_MINUTES * 60 * 1000;
+  if (failures < backoffAfter) return 0;
+
+  const seconds = Math.min(
+    LOGIN_BACKOFF_BASE_SECONDS * 2 ** (failures - backoffAfter),
+    LOGIN_BACKOFF_MAX_SECONDS
+  );
+  return seconds * 1000;
+};
+
+//returns 0 when the login may go ahead, else the number of seconds to wait
+export const loginRetryAfter = async (email, ip) => {
+  const attempts = await LoginAttempt.find({
+    key: { $in: [accountKey(email), ipKey(ip)] },
+    lockedUntil: { $gt: new Date() },
+  });
+
+  const waits = attempts.map((attempt) => attempt.lockedUntil - Date.now());
+  return waits.length ? Math.ceil(Math.max(...waits) / 1000) : 0;
+};
+
+const recordFailure = async (key, backoffAfter, lockAfter) => {
+  const now = new Date();
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(
+          now.getTime() + LOGIN_FAILURE_WINDOW_HOURS * 60 * 60 * 1000
+        ),
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  const wait = waitAfter(attempt.failures, backoffAfter, lockAfter);
+  if (wait) {
+    await LoginAttempt.updateOne(
+      { _id: attempt._id },
+      { $set: { lockedUntil: new Date(now.getTime() + wait) } }
+    );
+  }
+};
+
+export const recordLoginFailure = (email, ip) =>
+  Promise.all([
+    recordFailure(
+      accountKey(email),
+      LOGIN_ACCOUNT_BACKOFF_AFTER,
+      LOGIN_ACCOUNT_LOCK_AFTER
+    ),
+    recordFailure(ipKey(ip), LOGIN_IP_BACKOFF_AFTER, LOGIN_IP_LOCK_AFTER),
+  ]);
+
+//the IP counter is kept on purpose -> an attacker can not reset it by logging into their own account
+export const recordLoginSuccess = (email) =>
+  LoginAttempt.deleteOne({ key: accountKey(email) });
+
+//used by admins, returns true when the account had failures recorded
+export const unlockAccount = async (email) => {
+  const result = await LoginAttempt.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+};
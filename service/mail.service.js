@@ -0,0 +1,42 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { MAIL_FROM, MAIL_OUTBOX_DIR, MAIL_TRANSPORT } from "../config.js";
+
+//a transport is any object with an async send({ from, to, subject, text }) method
+//swap in an SMTP / provider transport with setMailTransport() without touching the routes
+
+//keeps every mail in memory -> handy for tests, read them back with transport.outbox
+export const createMemoryTransport = () => {
+  const outbox = [];
+  return {
+    outbox,
+    send: async (mail) => {
+      outbox.push({ ...mail, sentAt: new Date() });
+    },
+  };
+};
+
+//writes every mail as a json file -> open the folder to "receive" mails during development
+export const createFileTransport = (dir = MAIL_OUTBOX_DIR) => ({
+  send: async (mail) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+    await fs.writeFile(
+      file,
+      JSON.stringify({ ...mail, sentAt: new Date() }, null, 2)
+    );
+  },
+});
+
+let transport =
+  MAIL_TRANSPORT === "memory" ? createMemoryTransport() : createFileTransport();
+
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+export const getMailTransport = () => transport;
+
+export const sendMail = ({ to, subject, text }) =>
+  transport.send({ from: MAIL_FROM, to, subject, text });
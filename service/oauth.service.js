@@ -0,0 +1,258 @@
+import crypto from "crypto";
+import { createRemoteJWKSet, jwtVerify } from "jose";
+import OAuthState from "../model/oauthState.model.js";
+import User from "../model/user.model.js";
+import { randomToken } from "../utils/crypto.util.js";
+import { BadGatewayError, BadRequestError } from "../utils/errors.util.js";
+import {
+  APP_URL,
+  GITHUB_CLIENT_ID,
+  GITHUB_CLIENT_SECRET,
+  GOOGLE_CLIENT_ID,
+  GOOGLE_CLIENT_SECRET,
+  MOCK_OIDC_ENABLED,
+  OAUTH_STATE_TTL_MINUTES,
+} from "../config.js";
+
+//provider registry
+//a provider is { authorizationEndpoint, tokenEndpoint, clientId, clientSecret, scope, getIdentity }
+//getIdentity({ tokens, nonce }) -> { subject, email, emailVerified, name }
+const providers = new Map();
+
+export const registerProvider = (name, provider) => {
+  providers.set(name, { name, ...provider });
+};
+
+export const getProvider = (name) => providers.get(name);
+
+export const listProviders = () => [...providers.keys()];
+
+//calls a provider endpoint, returns { ok, body } with the parsed JSON body
+//unreachable, or an answer that is not JSON (an error page...) -> 502, that is not the user's fault
+const fetchProviderJson = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch {
+    throw new BadGatewayError("The login provider could not be reached");
+  }
+
+  try {
+    return { ok: response.ok, body: await response.json() };
+  } catch {
+    throw new BadGatewayError("The login provider sent an invalid answer");
+  }
+};
+
+//OpenID Connect -> the identity comes from the signed id_token
+export const oidcProvider = ({ issuer, jwksUri, ...provider }) => {
+  const jwks = createRemoteJWKSet(new URL(jwksUri));
+
+  return {
+    scope: "openid email profile",
+    ...provider,
+    getIdentity: async ({ tokens, nonce }) => {
+      if (!tokens.id_token)
+        throw new BadRequestError("Provider did not return an id_token");
+
+      //a forged or expired id_token is a failed login, not a server error
+      const { payload } = await jwtVerify(tokens.id_token, jwks, {
+        issuer,
+        audience: provider.clientId,
+      }).catch(() => {
+        throw new BadRequestError("Invalid id_token");
+      });
+
+      //the id_token must belong to the flow we started, not one replayed from somewhere else
+      if (payload.nonce !== nonce) throw new BadRequestError("Invalid nonce");
+
+      return {
+        subject: payload.sub,
+        email: payload.email,
+        emailVerified: payload.email_verified === true,
+        name: payload.name,
+      };
+    },
+  };
+};
+
+//github is plain OAuth2 (no id_token) -> ask its API who the token belongs to
+const githubProvider = ({ clientId, clientSecret }) => ({
+  authorizationEndpoint: "https://github.com/login/oauth/authorize",
+  tokenEndpoint: "https://github.com/login/oauth/access_token",
+  clientId,
+  clientSecret,
+  scope: "read:user user:email",
+  getIdentity: async ({ tokens }) => {
+    const headers = {
+      Authorization: `Bearer ${tokens.access_token}`,
+      Accept: "application/vnd.github+json",
+    };
+    const [profile, emails] = await Promise.all([
+      fetchProviderJson("https://api.github.com/user", { headers }),
+      fetchProviderJson("https://api.github.com/user/emails", { headers }),
+    ]);
+    if (!profile.ok || !emails.ok) {
+      throw new BadGatewayError("GitHub did not return the user profile");
+    }
+
+    const primary = Array.isArray(emails.body)
+      ? emails.body.find((email) => email.primary)
+      : null;
+
+    return {
+      subject: String(profile.body.id),
+      email: primary?.email,
+      emailVerified: primary?.verified === true,
+      name: profile.body.name || profile.body.login,
+    };
+  },
+});
+
+if (GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET) {
+  registerProvider(
+    "google",
+    oidcProvider({
+      issuer: "https://accounts.google.com",
+      jwksUri: "https://www.googleapis.com/oauth2/v3/certs",
+      authorizationEndpoint: "https://accounts.google.com/o/oauth2/v2/auth",
+      tokenEndpoint: "https://oauth2.googleapis.com/token",
+      clientId: GOOGLE_CLIENT_ID,
+      clientSecret: GOOGLE_CLIENT_SECRET,
+    })
+  );
+}
+
+if (GITHUB_CLIENT_ID && GITHUB_CLIENT_SECRET) {
+  registerProvider(
+    "github",
+    githubProvider({
+      clientId: GITHUB_CLIENT_ID,
+      clientSecret: GITHUB_CLIENT_SECRET,
+    })
+  );
+}
+
+//the fake provider from view/mockOidc.view.js
+if (MOCK_OIDC_ENABLED) {
+  registerProvider(
+    "mock",
+    oidcProvider({
+      issuer: `${APP_URL}/mock-oidc`,
+      jwksUri: `${APP_URL}/mock-oidc/jwks`,
+      authorizationEndpoint: `${APP_URL}/mock-oidc/authorize`,
+      tokenEndpoint: `${APP_URL}/mock-oidc/token`,
+      clientId: "mock-client",
+      clientSecret: "mock-secret",
+    })
+  );
+}
+
+const redirectUri = (name) => `${APP_URL}/auth/${name}/callback`;
+
+//PKCE -> the provider only hands out tokens to whoever knows the verifier behind this challenge
+const codeChallenge = (verifier) =>
+  crypto.createHash("sha256").update(verifier).digest("base64url");
+
+//step 1 -> returns the url to send the browser to, and the state to remember in a cookie
+export const startAuthorization = async (name, { loginHint } = {}) => {
+  const provider = getProvider(name);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken(48);
+
+  await OAuthState.create({
+    state,
+    provider: name,
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MINUTES * 60 * 1000),
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri(name),
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+  if (loginHint) params.set("login_hint", loginHint);
+
+  return { url: `${provider.authorizationEndpoint}?${params}`, state };
+};
+
+//step 2 -> the provider redirected back with a code
+//returns the identity, or null when the state is unknown, expired, already used or from another provider
+export const finishAuthorization = async (name, { code, state }) => {
+  const provider = getProvider(name);
+
+  //single use -> the state is deleted while it is read
+  const saved = await OAuthState.findOneAndDelete({
+    state: String(state),
+    provider: name,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!saved) return null;
+
+  //the provider refusing the code (invalid_grant...) -> 400, the provider failing -> 502
+  const { ok, body: tokens } = await fetchProviderJson(provider.tokenEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code: String(code),
+      redirect_uri: redirectUri(name),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: saved.codeVerifier,
+    }),
+  });
+
+  if (!ok || !tokens || tokens.error) {
+    throw new BadRequestError(
+      tokens?.error_description || tokens?.error || "Code exchange failed"
+    );
+  }
+
+  return provider.getIdentity({ tokens, nonce: saved.nonce });
+};
+
+//finds the user for an external identity
+//1. already linked -> that user
+//2. a user with the same email -> link, but only when the provider verified the email (else anyone could take over the account)
+//3. nobody -> create a new user with the default role
+//returns null when case 2 applies but the email is not verified
+export const findOrCreateUser = async (name, identity) => {
+  const linked = await User.findOne({
+    identities: { $elemMatch: { provider: name, subject: identity.subject } },
+  });
+  if (linked) return linked;
+
+  if (!identity.email)
+    throw new BadRequestError("Provider did not share an email");
+
+  const email = String(identity.email).toLowerCase();
+  const existing = await User.findOne({ email });
+
+  if (existing) {
+    if (!identity.emailVerified) return null;
+
+    existing.identities.push({ provider: name, subject: identity.subject });
+    existing.emailVerified = true;
+    await existing.save();
+    return existing;
+  }
+
+  return User.create({
+    name: identity.name || email.split("@")[0],
+    email,
+    emailVerified: identity.emailVerified,
+    identities: [{ provider: name, subject: identity.subject }],
+  });
+};
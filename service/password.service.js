@@ -0,0 +1,107 @@
+import User from "../model/user.model.js";
+import {
+  canSendActionToken,
+  consumeActionToken,
+  createActionToken,
+  findActionToken,
+} from "./actionToken.service.js";
+import { sendMail } from "./mail.service.js";
+import { checkPasswordRules } from "../utils/passwordPolicy.util.js";
+import {
+  APP_URL,
+  PASSWORD_HISTORY_SIZE,
+  PASSWORD_RESET_COOLDOWN_SECONDS,
+  PASSWORD_RESET_MAX_PER_HOUR,
+  PASSWORD_RESET_TTL_MINUTES,
+} from "../config.js";
+
+//all password policy problems of a new password, empty when it is fine
+//user -> the user changing their password, adds the history check (fetched with +password +passwordHistory)
+export const checkNewPassword = async (password, user) => {
+  const violations = checkPasswordRules(password);
+
+  if (!violations.length && user && (await user.isPasswordReused(password))) {
+    violations.push({
+      code: "password.reused",
+      message: `Password must be different from your last ${PASSWORD_HISTORY_SIZE} passwords`,
+    });
+  }
+
+  return violations;
+};
+
+//does nothing when the email is unknown or was sent a reset mail just now
+//-> the caller must not be able to tell the difference, and nobody can flood an inbox with reset mails
+export const requestPasswordReset = async (email) => {
+  const user = await User.findOne({
+    email: String(email).toLowerCase().trim(),
+  });
+  if (!user) return;
+
+  const allowed = await canSendActionToken(user._id, "password_reset", {
+    cooldownSeconds: PASSWORD_RESET_COOLDOWN_SECONDS,
+    maxPerHour: PASSWORD_RESET_MAX_PER_HOUR,
+  });
+  if (!allowed) return;
+
+  const token = await createActionToken(
+    user._id,
+    "password_reset",
+    PASSWORD_RESET_TTL_MINUTES
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Use this link to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n${APP_URL}/password/reset?token=${token}\n\nIf you did not ask for this, you can ignore this mail.`,
+  });
+};
+
+//returns null when the token is unknown, expired or already used
+//returns { violations } when the new password breaks the policy (the token stays usable then)
+//returns { user } on success
+export const resetPassword = async (token, password) => {
+  const actionToken = await findActionToken(token, "password_reset");
+  if (!actionToken) return null;
+
+  const user = await User.findById(actionToken.user).select(
+    "+password +passwordHistory"
+  );
+  if (!user) return null;
+
+  const violations = await checkNewPassword(password, user);
+  if (violations.length) return { violations };
+
+  user.setPassword(password);
+  await user.validate();
+
+  //someone else used the token in the meantime
+  if (!(await consumeActionToken(token, "password_reset"))) return null;
+
+  //saving hashes the password and bumps tokenVersion -> every existing login is revoked
+  await user.save();
+  return { user };
+};
+
+//returns { violations } when the current password is wrong or the new one breaks the policy, else { user }
+export const changePassword = async (userId, currentPassword, newPassword) => {
+  const user = await User.findById(userId).select("+password +passwordHistory");
+
+  if (!user || !(await user.comparePassword(currentPassword))) {
+    return {
+      violations: [
+        {
+          code: "password.current_invalid",
+          message: "Current password is incorrect",
+        },
+      ],
+    };
+  }
+
+  const violations = await checkNewPassword(newPassword, user);
+  if (violations.length) return { violations };
+
+  user.setPassword(newPassword);
+  await user.save();
+  return { user };
+};
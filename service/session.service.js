@@ -0,0 +1,35 @@
+import TokenFamily from "../model/tokenFamily.model.js";
+
+//a session is a token family that is neither revoked nor expired
+const activeSessions = (userId) => ({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+//currentSessionId -> the sid of the caller's access token, that entry gets current: true
+export const listSessions = async (userId, currentSessionId) => {
+  const families = await TokenFamily.find(activeSessions(userId)).sort({
+    lastUsedAt: -1,
+    createdAt: -1,
+  });
+
+  return families.map((family) => ({
+    id: family._id,
+    userAgent: family.userAgent,
+    ip: family.ip,
+    lastIp: family.lastIp,
+    createdAt: family.createdAt,
+    lastUsedAt: family.lastUsedAt ?? family.createdAt,
+    current: String(family._id) === String(currentSessionId),
+  }));
+};
+
+//returns false when the user has no active session with that id
+export const revokeSession = async (userId, sessionId) => {
+  const result = await TokenFamily.updateOne(
+    { _id: sessionId, ...activeSessions(userId) },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
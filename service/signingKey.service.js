@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import SigningKey from "../model/signingKey.model.js";
+import {
+  JWT_ALGORITHM,
+  JWT_KEY_GRACE_HOURS,
+  JWT_KEY_ROTATION_DAYS,
+} from "../config.js";
+
+const HOUR = 60 * 60 * 1000;
+const CACHE_MS = 60 * 1000; //pick up keys created by other instances
+const MIN_RELOAD_MS = 5 * 1000; //unknown kids can not make us hit the database on every request
+
+let cache = { keys: [], loadedAt: 0 };
+//the scheduled rotation that is running right now, requests arriving meanwhile wait for it
+//instead of each creating their own key (cold start, or many logins the moment a key expires)
+let pendingRotation = null;
+
+const toKey = (doc) => {
+  const publicKey = crypto.createPublicKey(doc.publicKey);
+
+  return {
+    kid: doc.kid,
+    alg: doc.alg,
+    signUntil: doc.signUntil,
+    verifyUntil: doc.verifyUntil,
+    publicKey,
+    privateKey: crypto.createPrivateKey(doc.privateKey),
+    jwk: {
+      ...publicKey.export({ format: "jwk" }),
+      kid: doc.kid,
+      alg: doc.alg,
+      use: "sig",
+    },
+  };
+};
+
+const loadKeys = async () => {
+  const docs = await SigningKey.find({ verifyUntil: { $gt: new Date() } })
+    .select("+privateKey")
+    .sort({ createdAt: -1 });
+
+  cache = { keys: docs.map(toKey), loadedAt: Date.now() };
+};
+
+const generateKeyPair = (alg) =>
+  alg === "EdDSA"
+    ? crypto.generateKeyPairSync("ed25519")
+    : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+//retires the current key (it keeps verifying during the grace window) and starts signing with a new one
+export const rotateSigningKey = async () => {
+  const now = Date.now();
+
+  await SigningKey.updateMany(
+    { signUntil: { $gt: new Date(now) } },
+    {
+      $set: {
+        signUntil: new Date(now),
+        verifyUntil: new Date(now + JWT_KEY_GRACE_HOURS * HOUR),
+      },
+    }
+  );
+
+  const { publicKey, privateKey } = generateKeyPair(JWT_ALGORITHM);
+  const signUntil = now + JWT_KEY_ROTATION_DAYS * 24 * HOUR;
+
+  const doc = await SigningKey.create({
+    kid: crypto.randomUUID(),
+    alg: JWT_ALGORITHM,
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+    signUntil: new Date(signUntil),
+    verifyUntil: new Date(signUntil + JWT_KEY_GRACE_HOURS * HOUR),
+  });
+
+  await loadKeys();
+  return doc.kid;
+};
+
+//the key new tokens are signed with
+//rotation happens here on schedule -> once the current key is past signUntil a new one is created
+export const getSigningKey = async () => {
+  if (Date.now() - cache.loadedAt > CACHE_MS) await loadKeys();
+
+  const isUsable = (key) =>
+    key.alg === JWT_ALGORITHM && key.signUntil.getTime() > Date.now();
+
+  if (!cache.keys.some(isUsable)) {
+    pendingRotation ??= rotateSigningKey().finally(() => {
+      pendingRotation = null;
+    });
+    await pendingRotation;
+  }
+  return cache.keys.find(isUsable);
+};
+
+//the public key for a token header's kid, or null when the key is unknown or past its grace window
+export const getVerificationKey = async (kid) => {
+  if (Date.now() - cache.loadedAt > CACHE_MS) await loadKeys();
+
+  let key = cache.keys.find((k) => k.kid === kid);
+  if (!key && Date.now() - cache.loadedAt > MIN_RELOAD_MS) {
+    await loadKeys();
+    key = cache.keys.find((k) => k.kid === kid);
+  }
+
+  if (!key || key.verifyUntil.getTime() <= Date.now()) return null;
+  return key;
+};
+
+//public keys only -> served at /.well-known/jwks.json
+export const getJwks = async () => {
+  await getSigningKey(); //make sure there is at least one key to publish
+
+  return {
+    keys: cache.keys
+      .filter((key) => key.verifyUntil.getTime() > Date.now())
+      .map((key) => key.jwk),
+  };
+};
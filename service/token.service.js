@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { SignJWT, decodeProtectedHeader, jwtVerify } from "jose";
+import TokenFamily from "../model/tokenFamily.model.js";
+import User from "../model/user.model.js";
+import { getSigningKey, getVerificationKey } from "./signingKey.service.js";
+import {
+  ACCESS_TOKEN_TTL,
+  IS_PRODUCTION,
+  JWT_ISSUER,
+  JWT_REFRESH_SECRET,
+  REFRESH_COOKIE_NAME,
+  REFRESH_TOKEN_TTL_DAYS,
+} from "../config.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+//signed with the current private key, the kid header tells verifiers which public key to use
+//sessionId -> the session (token family) the token belongs to, so revoking a session also kills its access tokens
+//claims / expiresIn -> extra payload and a custom lifetime (impersonation tokens)
+export const signAccessToken = async (
+  user,
+  { sessionId, claims = {}, expiresIn = ACCESS_TOKEN_TTL } = {}
+) => {
+  const key = await getSigningKey();
+
+  return new SignJWT({
+    ...claims,
+    id: String(user._id),
+    role: user.role,
+    tokenVersion: user.tokenVersion,
+    ...(sessionId && { sid: String(sessionId) }),
+  }) // payload
+    .setProtectedHeader({ alg: key.alg, kid: key.kid, typ: "JWT" })
+    .setIssuer(JWT_ISSUER)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(key.privateKey);
+};
+
+//returns the payload ({ id, role, tokenVersion, ... }) or null when the token is invalid or expired
+export const verifyAccessToken = async (token) => {
+  try {
+    const { kid } = decodeProtectedHeader(token);
+    const key = await getVerificationKey(kid);
+    if (!key) return null;
+
+    const { payload } = await jwtVerify(token, key.publicKey, {
+      algorithms: [key.alg], //never let the token pick its own algorithm
+      issuer: JWT_ISSUER,
+    });
+    return payload;
+  } catch (err) {
+    return null;
+  }
+};
+
+//the refresh token expires together with its family, rotation does not extend the login
+const signRefreshToken = (family) =>
+  jwt.sign({ id: family.user, family: family._id }, JWT_REFRESH_SECRET, {
+    jwtid: family.currentJti,
+    expiresIn: Math.floor((family.expiresAt.getTime() - Date.now()) / 1000),
+  });
+
+//called after a successful login
+//device -> { userAgent, ip } of the request, shown in the session list
+export const issueTokens = async (user, device = {}) => {
+  const family = await TokenFamily.create({
+    user: user._id,
+    tokenVersion: user.tokenVersion,
+    userAgent: device.userAgent,
+    ip: device.ip,
+    currentJti: crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY),
+  });
+
+  return {
+    accessToken: await signAccessToken(user, { sessionId: family._id }),
+    refreshToken: signRefreshToken(family),
+  };
+};
+
+export const revokeFamily = (familyId) =>
+  TokenFamily.updateOne(
+    { _id: familyId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+//logout of one device
+//returns false when the token is not a valid refresh token
+export const revokeRefreshToken = async (refreshToken) => {
+  try {
+    const decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+    await revokeFamily(decoded.family);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+//logout of every device
+//bumping tokenVersion kills the access tokens, revoking the families kills the refresh tokens
+export const revokeAllTokens = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await TokenFamily.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+//exchange a refresh token for a new access + refresh token pair
+//returns null when the token can not be used
+export const rotateRefreshToken = async (refreshToken, device = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+  } catch (err) {
+    return null;
+  }
+
+  //swap the jti in one atomic step so two parallel refreshes can not both succeed
+  const family = await TokenFamily.findOneAndUpdate(
+    { _id: decoded.family, currentJti: decoded.jti, revokedAt: null },
+    {
+      $set: {
+        currentJti: crypto.randomUUID(),
+        lastUsedAt: new Date(),
+        lastIp: device.ip,
+      },
+    },
+    { new: true }
+  );
+
+  if (!family) {
+    //the signature is valid, so we issued this token -> it was already rotated and is being used again
+    //we can not tell the thief from the real user, so the whole family is logged out
+    await revokeFamily(decoded.family);
+    return null;
+  }
+
+  //the user logged out everywhere or changed password/role after this login
+  const user = await User.findById(family.user);
+  if (!user || user.tokenVersion !== family.tokenVersion) {
+    await revokeFamily(family._id);
+    return null;
+  }
+
+  return {
+    accessToken: await signAccessToken(user, { sessionId: family._id }),
+    refreshToken: signRefreshToken(family),
+  };
+};
+
+//last step of every successful login (password, 2FA, ...)
+export const sendLoginTokens = async (req, res, user, extra = {}) => {
+  const { accessToken, refreshToken } = await issueTokens(user, {
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+  setRefreshCookie(res, refreshToken);
+
+  res.status(200).json({
+    message: "User logged in successfully",
+    accessToken,
+    user,
+    ...extra,
+  });
+};
+
+//httpOnly -> javascript in the browser can not read the cookie (XSS)
+export const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure: IS_PRODUCTION,
+    sameSite: "strict",
+    maxAge: REFRESH_TOKEN_TTL_DAYS * DAY,
+  });
+};
+
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, {
+    httpOnly: true,
+    secure: IS_PRODUCTION,
+    sameSite: "strict",
+  });
+};
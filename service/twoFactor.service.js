@@ -0,0 +1,132 @@
+import jwt from "jsonwebtoken";
+import User from "../model/user.model.js";
+import { hashToken, randomToken } from "../utils/crypto.util.js";
+import { generateSecret, otpauthUri, verifyTotp } from "../utils/totp.util.js";
+import {
+  CHALLENGE_TOKEN_TTL,
+  JWT_CHALLENGE_SECRET,
+  RECOVERY_CODE_COUNT,
+  TOTP_ISSUER,
+  TWO_FACTOR_REQUIRED_ROLES,
+} from "../config.js";
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+export const requiresTwoFactor = (user) =>
+  TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+
+//the purpose claim keeps a challenge token from being accepted anywhere else, and other tokens from passing as one
+const CHALLENGE_PURPOSE = "2fa-challenge";
+
+//issued by /login after the password was accepted, exchanged at /login/2fa
+export const signChallengeToken = (user) =>
+  jwt.sign(
+    {
+      id: user._id,
+      tokenVersion: user.tokenVersion,
+      purpose: CHALLENGE_PURPOSE,
+    },
+    JWT_CHALLENGE_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+
+//returns the user the challenge belongs to, or null
+export const verifyChallengeToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_CHALLENGE_SECRET);
+    if (decoded.purpose !== CHALLENGE_PURPOSE) return null;
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.tokenVersion !== decoded.tokenVersion) return null;
+    return user;
+  } catch (err) {
+    return null;
+  }
+};
+
+//step 1 of enrollment -> the secret is only kept as pending until the user proves their app works
+export const startEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": secret } }
+  );
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({
+      secret,
+      account: user.email,
+      issuer: TOTP_ISSUER,
+    }),
+  };
+};
+
+const newRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => randomToken(8));
+
+//step 2 of enrollment -> returns the plain recovery codes (shown once), or null when the code is wrong
+export const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  const pendingSecret = user?.twoFactor?.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotp(pendingSecret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = newRecoveryCodes();
+
+  user.twoFactor = {
+    enabled: true,
+    secret: pendingSecret,
+    pendingSecret: undefined,
+    recoveryCodes: recoveryCodes.map(hashToken),
+    lastUsedStep: step,
+  };
+  await user.save();
+
+  return recoveryCodes;
+};
+
+//checks a TOTP code or a recovery code during login
+//the accepted step / recovery code is used up atomically, so replaying it fails
+export const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user?.twoFactor?.enabled) return false;
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: userId, "twoFactor.recoveryCodes": hashToken(recoveryCode) },
+      { $pull: { "twoFactor.recoveryCodes": hashToken(recoveryCode) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+  const step = verifyTotp(user.twoFactor.secret, code, {
+    afterStep: lastUsedStep,
+  });
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    { _id: userId, "twoFactor.lastUsedStep": user.twoFactor.lastUsedStep },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+export const disableTwoFactor = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+      },
+    }
+  );
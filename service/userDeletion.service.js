@@ -0,0 +1,85 @@
+import User from "../model/user.model.js";
+import TokenFamily from "../model/tokenFamily.model.js";
+import ActionToken from "../model/actionToken.model.js";
+import History from "../model/history.model.js";
+import { revokeAllTokens } from "./token.service.js";
+import { USER_PURGE_INTERVAL_MINUTES, USER_RETENTION_DAYS } from "../config.js";
+
+//hides the user and logs them out everywhere, returns null when there is no live user with that id
+//deletedBy -> { user } for an admin, { apiKey } for a service, so every delete can be traced back
+//version -> { __v, updatedAt } the caller saw, null when the user changed since then
+export const softDeleteUser = async (userId, deletedBy, version = {}) => {
+  const user = await User.findOneAndUpdate(
+    { ...version, _id: userId },
+    {
+      $set: {
+        deletedAt: new Date(),
+        deletedBy: deletedBy.user ?? null,
+        deletedByApiKey: deletedBy.apiKey ?? null,
+      },
+      $inc: { tokenVersion: 1 },
+    },
+    { new: true }
+  );
+  if (!user) return null;
+
+  await revokeAllTokens(user._id);
+  return user;
+};
+
+//the deleted user with that id, or null
+export const findDeletedUser = (userId) =>
+  User.findOne({ _id: userId, deletedAt: { $ne: null } });
+
+//throws a duplicate key error (code 11000) when a live user took the email in the meantime
+export const restoreUser = async (user) => {
+  user.deletedAt = null;
+  user.deletedBy = null;
+  user.deletedByApiKey = null;
+  await user.save();
+  return user;
+};
+
+//removes users that were deleted more than USER_RETENTION_DAYS ago, together with their tokens and change history
+//the history holds old names and emails, keeping it would keep the personal data the purge is meant to remove
+//returns the number of purged users
+export const purgeDeletedUsers = async () => {
+  const cutoff = new Date(Date.now() - USER_RETENTION_DAYS * 24 * 3600 * 1000);
+  const users = await User.find({ deletedAt: { $lte: cutoff } }).select("_id");
+  if (!users.length) return 0;
+
+  const ids = users.map((user) => user._id);
+  await TokenFamily.deleteMany({ user: { $in: ids } });
+  await ActionToken.deleteMany({ user: { $in: ids } });
+  //the audit log keeps its entries, it is append-only
+  const result = await User.deleteMany({
+    _id: { $in: ids },
+    deletedAt: { $lte: cutoff },
+  }).setOptions({ skipHistory: true });
+
+  //a user restored in the meantime was not deleted above and keeps their history
+  const remaining = await User.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .distinct("_id");
+  const purged = ids.filter((id) => !remaining.some((kept) => kept.equals(id)));
+  await History.deleteMany({
+    model: User.modelName,
+    documentId: { $in: purged },
+  });
+
+  return result.deletedCount;
+};
+
+//runs the purge once now and then every USER_PURGE_INTERVAL_MINUTES
+//unref() -> the timer alone does not keep the process alive
+export const startPurgeJob = () => {
+  const run = () =>
+    purgeDeletedUsers()
+      .then((count) => {
+        if (count) console.log(`Purged ${count} deleted users`);
+      })
+      .catch((err) => console.error(err.message));
+
+  run();
+  return setInterval(run, USER_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
@@ -0,0 +1,39 @@
+import User from "../model/user.model.js";
+import { toCsvRow } from "../utils/csv.util.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+  json: { contentType: "application/json", extension: "json" },
+};
+
+//yields the export piece by piece straight from a mongo cursor
+//the consumer pulls the next piece only when it is ready (stream.pipeline) -> a slow client never fills the memory
+//filter, sort, fields -> from parseUserQuery, so the password can never be part of an export
+export async function* exportUsers({ filter, sort, fields }, format) {
+  const cursor = User.find(filter)
+    .select(fields.includes("_id") ? fields : [...fields, "-_id"])
+    .sort(sort)
+    .lean()
+    .cursor();
+
+  if (format === "csv") yield toCsvRow(fields);
+  if (format === "json") yield "[";
+
+  let first = true;
+  for await (const user of cursor) {
+    if (format === "csv") {
+      yield toCsvRow(fields.map((field) => user[field]));
+    } else {
+      //JSON.stringify turns the ObjectId and the dates into strings
+      const line = JSON.stringify(
+        Object.fromEntries(fields.map((field) => [field, user[field]]))
+      );
+      if (format === "ndjson") yield `${line}\n`;
+      else yield first ? line : `,${line}`;
+    }
+    first = false;
+  }
+
+  if (format === "json") yield "]";
+}
@@ -0,0 +1,70 @@
+import User from "../model/user.model.js";
+import History from "../model/history.model.js";
+import { paginateFind } from "../utils/pagination.util.js";
+
+//the fields a restore can put back
+//redacted fields (password, 2FA secrets) have no stored values, and deletedAt has its own restore route
+export const RESTORABLE_FIELDS = ["name", "age", "email", "role"];
+
+const HISTORY_FIELDS = [
+  "_id",
+  "action",
+  "actor",
+  "changes",
+  "details",
+  "createdAt",
+];
+
+//newest first, paged like the user listings
+export const listUserHistory = (userId, page) =>
+  paginateFind(History, {
+    filter: { model: User.modelName, documentId: userId },
+    sort: { _id: -1 }, //ids grow with time -> newest first without a separate createdAt sort
+    fields: HISTORY_FIELDS,
+    page,
+  });
+
+//the values the restorable fields had right after the history entry
+//walks the newer entries: the oldest change of a field after the entry still has the value of back then in "from"
+//returns null when the entry does not belong to the user
+export const versionAt = async (userId, entryId) => {
+  const entry = await History.findOne({
+    _id: entryId,
+    model: User.modelName,
+    documentId: userId,
+  });
+  if (!entry) return null;
+
+  const newer = await History.find({
+    model: User.modelName,
+    documentId: userId,
+    _id: { $gt: entry._id },
+  })
+    .sort({ _id: 1 })
+    .select("changes")
+    .lean();
+
+  const values = {};
+  for (const { changes } of newer) {
+    for (const change of changes) {
+      if (RESTORABLE_FIELDS.includes(change.path) && !(change.path in values)) {
+        values[change.path] = change.from;
+      }
+    }
+  }
+  return { entry, values };
+};
+
+//puts the restorable fields back to how they were after the history entry
+//the restore is saved like any other change -> it gets its own "revert" history entry
+//("restore" is taken by undoing a soft delete)
+export const restoreUserVersion = async (user, entry, values) => {
+  for (const [field, value] of Object.entries(values)) {
+    user.set(field, value ?? undefined);
+  }
+
+  user.$locals.historyAction = "revert";
+  user.$locals.historyDetails = { restoredFrom: entry._id };
+  await user.save();
+  return user;
+};
@@ -0,0 +1,204 @@
+import readline from "readline";
+import User from "../model/user.model.js";
+import { parseCsv } from "../utils/csv.util.js";
+import { pick } from "../utils/pick.util.js";
+import { SEARCH_GRAMS_VERSION, trigrams } from "../utils/search.util.js";
+import { IMPORT_BATCH_SIZE, IMPORT_MAX_REPORTED_ERRORS } from "../config.js";
+
+//every source turns into the same rows: { row, data } or { row, error } when the row could not even be read
+//row -> the line number the person who made the file sees (the CSV header is row 1, NDJSON counts lines)
+//a CSV record with a quoted line break gets the line it starts on
+
+//CSV with a header line, empty cells are left out so defaults and required checks still apply
+export async function* csvRows(stream) {
+  stream.setEncoding("utf8");
+  let header = null;
+  let row = 0;
+
+  try {
+    for await (const { line, fields: record } of parseCsv(stream)) {
+      row = line;
+      if (!header) {
+        header = record.map((name) => name.replace(/^\uFEFF/, "").trim());
+        continue;
+      }
+
+      if (record.length > header.length) {
+        yield {
+          row,
+          error: `Row has ${record.length} columns, the header has ${header.length}`,
+        };
+        continue;
+      }
+
+      const data = {};
+      header.forEach((name, index) => {
+        if (record[index] !== undefined && record[index] !== "") {
+          data[name] = record[index];
+        }
+      });
+      yield { row, data };
+    }
+  } catch (err) {
+    //a broken quote swallows the rest of the file, nothing after it can be trusted
+    yield { row: err.line ?? row + 1, error: err.message };
+  }
+}
+
+//one JSON object per line, blank lines are skipped
+export async function* ndjsonRows(stream) {
+  const lines = readline.createInterface({
+    input: stream,
+    crlfDelay: Infinity,
+  });
+  let row = 0;
+
+  for await (const line of lines) {
+    row += 1;
+    if (!line.trim()) continue;
+
+    try {
+      yield { row, data: JSON.parse(line) };
+    } catch {
+      yield { row, error: "Invalid JSON" };
+    }
+  }
+}
+
+//a JSON array that was already parsed by express.json()
+export async function* arrayRows(items) {
+  let row = 0;
+  for (const data of items) {
+    row += 1;
+    yield { row, data };
+  }
+}
+
+//validates every row against the User schema and inserts the valid ones in unordered batches
+//dryRun -> only validate, nothing is written
+//fields -> the columns that are taken from a row, everything else is ignored
+//returns { dryRun, total, imported, rejected, errors: [{ row, field, error }] }
+export const importUsers = async (rows, { fields, dryRun = false }) => {
+  const report = {
+    dryRun,
+    total: 0,
+    imported: 0, //in a dry run: the rows that would be imported
+    rejected: 0,
+    errors: [],
+    errorsTruncated: false,
+  };
+  const rejectedRows = new Set();
+  const seenEmails = new Set();
+  let batch = [];
+
+  const reject = (row, field, error) => {
+    if (!rejectedRows.has(row)) {
+      rejectedRows.add(row);
+      report.rejected += 1;
+    }
+    if (report.errors.length < IMPORT_MAX_REPORTED_ERRORS) {
+      report.errors.push({ row, field, error });
+    } else {
+      report.errorsTruncated = true;
+    }
+  };
+
+  const flush = async () => {
+    if (!batch.length) return;
+    const current = batch;
+    batch = [];
+
+    //addresses that already belong to a live user
+    const taken = new Set(
+      (
+        await User.find({
+          email: { $in: current.map(({ user }) => user.email) },
+        }).select("email")
+      ).map((user) => user.email)
+    );
+    const fresh = current.filter(({ row, user }) => {
+      if (!taken.has(user.email)) return true;
+      reject(row, "email", "Email is already in use");
+      return false;
+    });
+
+    if (dryRun) {
+      report.imported += fresh.length;
+      return;
+    }
+
+    const docs = await Promise.all(
+      fresh.map(async ({ user }) => {
+        if (user.password) {
+          user.password = await User.hashPassword(user.password);
+        }
+        //lean inserts skip the timestamps plugin and the save hook that fills the search trigrams
+        user.createdAt = user.updatedAt = new Date();
+        user.set("searchGrams.name", trigrams(user.name));
+        user.set("searchGrams.email", trigrams(user.email));
+        user.set("searchGrams.version", SEARCH_GRAMS_VERSION);
+        return user.toObject();
+      })
+    );
+
+    //lean -> the rows were validated above, validating again would check the hash against the password policy
+    //ordered: false -> one failing row does not stop the rest of the batch
+    try {
+      await User.insertMany(docs, { ordered: false, lean: true });
+      report.imported += docs.length;
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+
+      for (const writeError of err.writeErrors) {
+        const { row } = fresh[writeError.index];
+        reject(
+          row,
+          writeError.code === 11000 ? "email" : null,
+          writeError.code === 11000
+            ? "Email is already in use"
+            : writeError.errmsg
+        );
+      }
+      report.imported += docs.length - err.writeErrors.length;
+    }
+  };
+
+  for await (const { row, data, error } of rows) {
+    report.total += 1;
+
+    if (error) {
+      reject(row, null, error);
+      continue;
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      reject(row, null, "Row must be an object");
+      continue;
+    }
+
+    const user = new User(pick(data, fields));
+    try {
+      await user.validate();
+    } catch (err) {
+      if (!err.errors) throw err;
+      for (const [field, fieldError] of Object.entries(err.errors)) {
+        reject(row, field, fieldError.message);
+      }
+      continue;
+    }
+
+    //the same address twice in one file
+    if (seenEmails.has(user.email)) {
+      reject(row, "email", "Email appears more than once in the import");
+      continue;
+    }
+    seenEmails.add(user.email);
+
+    batch.push({ row, user });
+    if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  //rows rejected by the database come after the ones rejected while reading
+  report.errors.sort((a, b) => a.row - b.row);
+  return report;
+};
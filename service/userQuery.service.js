@@ -0,0 +1,33 @@
+import User from "../model/user.model.js";
+import { parseQueryLanguage } from "../utils/queryLanguage.util.js";
+
+//the fields any user listing can show -> password, tokens and 2FA secrets can never be asked for
+export const USER_FIELDS = [
+  "_id",
+  "name",
+  "age",
+  "email",
+  "role",
+  "emailVerified",
+  "createdAt",
+  "updatedAt",
+];
+
+//filters and sorting for GET /users, GET /all_users and the export
+//ignore -> the route's own parameters (format...)
+//returns { filter, sort, fields }, sort always ends with _id so equal values come back in a stable order
+export const parseUserQuery = (query, ignore = []) => {
+  const { filter, sort, fields } = parseQueryLanguage(query, {
+    schema: User.schema,
+    filterFields: USER_FIELDS,
+    sortFields: ["name", "age", "email", "role", "createdAt", "updatedAt"],
+    projectFields: USER_FIELDS,
+    ignore,
+  });
+
+  return {
+    filter,
+    sort: { ...sort, _id: sort?._id ?? 1 },
+    fields: fields ?? USER_FIELDS,
+  };
+};
@@ -0,0 +1,137 @@
+import User from "../model/user.model.js";
+import {
+  highlight,
+  normalizeSearchText,
+  SEARCH_GRAMS_VERSION,
+  trigrams,
+} from "../utils/search.util.js";
+import { SEARCH_MIN_SIMILARITY } from "../config.js";
+
+//what a search result shows, never anything secret
+const RESULT_FIELDS = ["_id", "name", "email", "role"];
+const RESULT_PROJECTION = Object.fromEntries(
+  RESULT_FIELDS.map((field) => [field, 1])
+);
+
+export const SEARCH_MODES = ["text", "prefix"];
+
+const withHighlights = (users, fragments) =>
+  users.map((user) => ({
+    ...user,
+    highlights: {
+      name: highlight(user.name, fragments),
+      email: highlight(user.email, fragments),
+    },
+  }));
+
+//ranked full text search on the text index (whole words, stemmed: "runs" finds "running")
+//quotes and "-" are removed so the input can not switch on phrase or negation search
+const textSearch = async (text, limit) => {
+  const terms = normalizeSearchText(text);
+  if (!terms) return [];
+
+  const users = await User.find(
+    { $text: { $search: terms } },
+    { ...RESULT_PROJECTION, score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" }, _id: 1 })
+    .limit(limit)
+    .lean();
+
+  return withHighlights(users, terms.split(" "));
+};
+
+//search-as-you-type: matches word starts and survives typos
+//score -> share of the typed trigrams the user has in the name or the email (0..1)
+const prefixSearch = async (text, limit) => {
+  const grams = trigrams(text);
+  if (!grams.length) return [];
+
+  const users = await User.aggregate([
+    {
+      $match: {
+        $or: [
+          { "searchGrams.name": { $in: grams } },
+          { "searchGrams.email": { $in: grams } },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $divide: [
+            {
+              $size: {
+                $setIntersection: [
+                  {
+                    $setUnion: [
+                      { $ifNull: ["$searchGrams.name", []] },
+                      { $ifNull: ["$searchGrams.email", []] },
+                    ],
+                  },
+                  grams,
+                ],
+              },
+            },
+            grams.length,
+          ],
+        },
+      },
+    },
+    { $match: { score: { $gte: SEARCH_MIN_SIMILARITY } } },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { ...RESULT_PROJECTION, score: 1 } },
+  ]);
+
+  //the typed words plus the unpadded trigrams -> a typo still highlights the parts that matched
+  const fragments = [
+    ...normalizeSearchText(text).split(" "),
+    ...grams.filter((gram) => !gram.startsWith(" ")),
+  ];
+  return withHighlights(users, fragments);
+};
+
+//text -> what the user typed, plain text (never used as a regex)
+//returns the users with score and highlights ({ name, email } as escaped HTML with <mark> around the matches)
+export const searchUsers = (text, { mode = "text", limit }) =>
+  mode === "prefix" ? prefixSearch(text, limit) : textSearch(text, limit);
+
+//users saved before the search existed have no trigrams yet, users saved with an older trigrams() have outdated ones
+//the version marks a user as done -> a user whose trigrams are legitimately empty (a name without letters or digits) is not rewritten on every start
+export const backfillSearchGrams = async () => {
+  const cursor = User.find({
+    "searchGrams.version": { $ne: SEARCH_GRAMS_VERSION },
+  })
+    .setOptions({ withDeleted: true })
+    .select("name email")
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let count = 0;
+  for await (const user of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: user._id },
+        timestamps: false, //internal field, the user's ETag must not change
+        update: {
+          $set: {
+            "searchGrams.name": trigrams(user.name),
+            "searchGrams.email": trigrams(user.email),
+            "searchGrams.version": SEARCH_GRAMS_VERSION,
+          },
+        },
+      },
+    });
+
+    if (operations.length === 500) {
+      await User.bulkWrite(operations);
+      count += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length) await User.bulkWrite(operations);
+  return count + operations.length;
+};
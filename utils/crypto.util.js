@@ -0,0 +1,10 @@
+import crypto from "crypto";
+
+//random url-safe token that is handed to the user once
+export const randomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+//only the hash of a token is stored, so a leaked database can not be used to log in
+//sha256 is enough here (no bcrypt needed) because the tokens are long and random, not guessable passwords
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
@@ -0,0 +1,80 @@
+//minimal RFC 4180 CSV reader
+//quoted fields, "" inside quotes, commas and line breaks inside quotes, \n or \r\n line endings
+//works chunk by chunk, so a large upload never has to be in memory at once
+
+//chunks -> async iterable of strings (e.g. a request with setEncoding("utf8"))
+//yields { line, fields } per record, blank lines are skipped
+//line -> the line of the file the record starts on (1 based), a quoted line break makes a record span several lines
+//an unterminated quote throws an error with the line the broken record starts on
+export async function* parseCsv(chunks) {
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let quotePending = false; //a quote inside quotes, either the end of the field or the first half of ""
+  let line = 1;
+  let recordLine = 1;
+
+  for await (const chunk of chunks) {
+    for (const char of chunk) {
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false; //the quote closed the field, handle this char normally
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          if (char === "\n") line += 1;
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === "") {
+        inQuotes = true;
+      } else if (char === ",") {
+        record.push(field);
+        field = "";
+      } else if (char === "\n") {
+        record.push(field);
+        if (record.length > 1 || record[0] !== "")
+          yield { line: recordLine, fields: record };
+        record = [];
+        field = "";
+        line += 1;
+        recordLine = line;
+      } else if (char !== "\r") {
+        field += char;
+      }
+    }
+  }
+
+  if (inQuotes && !quotePending) {
+    throw Object.assign(new Error("Unterminated quoted field"), {
+      line: recordLine,
+    });
+  }
+
+  record.push(field);
+  if (record.length > 1 || record[0] !== "")
+    yield { line: recordLine, fields: record };
+}
+
+//one CSV line (with \r\n) from a list of values
+//null/undefined -> empty cell, dates -> ISO strings
+//text cells that start with = + - @ are prefixed with ' so spreadsheet apps do not run them as formulas
+export const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      if (value === null || value === undefined) return "";
+
+      let cell = value instanceof Date ? value.toISOString() : String(value);
+      if (typeof value === "string" && /^[=+\-@\t\r]/.test(cell))
+        cell = `'${cell}`;
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    })
+    .join(",") + "\r\n";
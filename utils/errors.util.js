@@ -0,0 +1,86 @@
+//typed application errors
+//a route throws one of these (or passes it to next) and the error middleware turns it into the JSON answer
+//status -> HTTP status, code -> stable machine readable name, details -> extra data for the client (optional)
+export class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", details) {
+    super(400, "bad_request", message, details);
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Not authenticated") {
+    super(401, "unauthorized", message);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Access denied") {
+    super(403, "forbidden", message);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found") {
+    super(404, "not_found", message);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", details) {
+    super(409, "conflict", message, details);
+  }
+}
+
+//the client's copy is outdated (If-Match did not match, or someone saved in between)
+export class PreconditionFailedError extends AppError {
+  constructor(message = "The resource was changed by someone else") {
+    super(412, "precondition_failed", message);
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message = "Unsupported content type") {
+    super(415, "unsupported_media_type", message);
+  }
+}
+
+//the request is well formed, but the data breaks the rules (password policy, schema validators...)
+export class UnprocessableError extends AppError {
+  constructor(message = "Validation failed", details) {
+    super(422, "validation_failed", message, details);
+  }
+}
+
+export class PreconditionRequiredError extends AppError {
+  constructor(message = "Precondition required") {
+    super(428, "precondition_required", message);
+  }
+}
+
+//a service we depend on (e.g. a login provider) is down or sent an answer we can not use
+export class BadGatewayError extends AppError {
+  constructor(message = "An upstream service failed") {
+    super(502, "bad_gateway", message);
+  }
+}
+
+//retryAfter -> seconds, sent as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(
+    message = "Too many requests, please try again later",
+    retryAfter
+  ) {
+    super(429, "too_many_requests", message);
+    this.retryAfter = retryAfter;
+  }
+}
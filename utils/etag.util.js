@@ -0,0 +1,20 @@
+//ETags for optimistic concurrency
+//a user document gets a new __v on every save (optimisticConcurrency) and on every update query (hook in the model)
+//that changes a field clients can see, and updatedAt changes with both -> the ETag changes whenever the visible user changes
+
+export const userEtag = (user) =>
+  `"${user.__v ?? 0}-${user.updatedAt ? new Date(user.updatedAt).getTime() : 0}"`;
+
+//header -> If-Match or If-None-Match, a comma separated list of ETags or "*"
+//weak -> If-None-Match compares weakly (a W/ prefix is ignored), If-Match only accepts exact strong ETags
+export const etagMatches = (header, etag, { weak = false } = {}) => {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) =>
+      tag.startsWith("W/") ? weak && tag.slice(2) === etag : tag === etag
+    );
+};
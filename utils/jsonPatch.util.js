@@ -0,0 +1,183 @@
+//the two standard formats for partial updates
+//application/merge-patch+json (RFC 7396) -> { "name": "new", "age": null } sets name and removes age
+//application/json-patch+json (RFC 6902) -> [{ "op": "replace", "path": "/name", "value": "new" }]
+//both work on a plain copy of the data and throw on a broken patch, the original is never touched
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+export const applyMergePatch = (target, patch) => {
+  //anything that is not an object replaces the target completely
+  if (!isObject(patch)) return clone(patch);
+
+  const result = isObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+  return result;
+};
+
+//"/a/b~1c/0" -> ["a", "b/c", "0"]
+const parsePointer = (pointer) => {
+  if (typeof pointer !== "string") {
+    throw new Error("Patch path must be a string");
+  }
+  if (pointer === "") return [];
+  if (!pointer.startsWith("/")) {
+    throw new Error(`Invalid patch path "${pointer}"`);
+  }
+
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+const arrayIndex = (array, token, allowEnd) => {
+  if (allowEnd && token === "-") return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new Error(`Invalid array index "${token}"`);
+  }
+
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error(`Array index ${index} is out of range`);
+  }
+  return index;
+};
+
+//walks to the parent of the last token -> [parent, lastToken]
+const resolveParent = (document, tokens, pointer) => {
+  let parent = document;
+  for (const token of tokens.slice(0, -1)) {
+    const next = Array.isArray(parent)
+      ? parent[arrayIndex(parent, token, false)]
+      : isObject(parent) && Object.hasOwn(parent, token)
+        ? parent[token]
+        : undefined;
+
+    if (next === null || typeof next !== "object") {
+      throw new Error(`Path "${pointer}" does not exist`);
+    }
+    parent = next;
+  }
+  return [parent, tokens.at(-1)];
+};
+
+const getValue = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return document;
+
+  const [parent, token] = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, token, false)];
+  if (!Object.hasOwn(parent, token)) {
+    throw new Error(`Path "${pointer}" does not exist`);
+  }
+  return parent[token];
+};
+
+const addValue = (document, pointer, value) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return value;
+
+  const [parent, token] = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, true), 0, value);
+  } else {
+    parent[token] = value;
+  }
+  return document;
+};
+
+const removeValue = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) throw new Error("The whole document can not be removed");
+
+  const [parent, token] = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, false), 1);
+  } else {
+    if (!Object.hasOwn(parent, token)) {
+      throw new Error(`Path "${pointer}" does not exist`);
+    }
+    delete parent[token];
+  }
+  return document;
+};
+
+const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+};
+
+//the operations run in order, one failing operation (including a failed "test") rejects the whole patch
+export const applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new Error("A JSON Patch must be an array of operations");
+  }
+
+  let document = clone(target);
+  for (const operation of operations) {
+    if (!isObject(operation)) {
+      throw new Error("Every patch operation must be an object");
+    }
+
+    const { op, path } = operation;
+    parsePointer(path);
+    const needsValue = ["add", "replace", "test"].includes(op);
+    if (needsValue && !Object.hasOwn(operation, "value")) {
+      throw new Error(`Operation "${op}" needs a value`);
+    }
+
+    switch (op) {
+      case "add":
+        document = addValue(document, path, clone(operation.value));
+        break;
+      case "remove":
+        document = removeValue(document, path);
+        break;
+      case "replace":
+        getValue(document, path); //the target has to exist
+        document =
+          path === ""
+            ? clone(operation.value)
+            : addValue(
+                removeValue(document, path),
+                path,
+                clone(operation.value)
+              );
+        break;
+      case "move": {
+        if (path.startsWith(`${operation.from}/`)) {
+          throw new Error("A value can not be moved into itself");
+        }
+        const value = getValue(document, operation.from);
+        document = addValue(removeValue(document, operation.from), path, value);
+        break;
+      }
+      case "copy":
+        document = addValue(
+          document,
+          path,
+          clone(getValue(document, operation.from))
+        );
+        break;
+      case "test":
+        if (!isEqual(getValue(document, path), operation.value)) {
+          throw new Error(`Test failed for path "${path}"`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown patch operation "${op}"`);
+    }
+  }
+  return document;
+};
@@ -0,0 +1,227 @@
+import mongoose from "mongoose";
+import { PAGE_SIZE_DEFAULT, PAGE_SIZE_MAX } from "../config.js";
+import { BadRequestError } from "./errors.util.js";
+
+//keyset (cursor) pagination
+//instead of skipping N documents (mongo still walks through all of them) the next page starts right after
+//the sort values of the last document of this page -> every page costs the same, and inserts/deletes between
+//two requests do not shift documents onto the wrong page
+//the sort always ends with _id, so two documents can never have the same position
+
+//the cursor token is opaque for the client: base64url JSON with typed values
+//the values are rebuilt from their type tag only, so a handcrafted token can not smuggle an operator into the filter
+
+//thrown for a broken token, or one that was made for another sort -> the client's fault (400)
+export class InvalidCursorError extends BadRequestError {
+  constructor() {
+    super("Invalid cursor");
+    this.code = "invalid_cursor";
+  }
+}
+
+const encodeValue = (value) => {
+  if (value === null || value === undefined) return ["z"];
+  if (value instanceof Date) return ["d", value.toISOString()];
+  if (value instanceof mongoose.Types.ObjectId) return ["o", String(value)];
+  if (typeof value === "number") return ["n", value];
+  if (typeof value === "boolean") return ["b", value];
+  return ["s", String(value)];
+};
+
+const decodeValue = ([type, value]) => {
+  switch (type) {
+    case "z":
+      return null;
+    case "d": {
+      const date = new Date(value);
+      if (Number.isNaN(date.valueOf())) throw new Error();
+      return date;
+    }
+    case "o":
+      if (!mongoose.isValidObjectId(value)) throw new Error();
+      return new mongoose.Types.ObjectId(value);
+    case "n":
+      if (typeof value !== "number") throw new Error();
+      return value;
+    case "b":
+      if (typeof value !== "boolean") throw new Error();
+      return value;
+    case "s":
+      if (typeof value !== "string") throw new Error();
+      return value;
+    default:
+      throw new Error();
+  }
+};
+
+//{ age: -1, _id: 1 } -> "age:-1,_id:1", a cursor only works with the sort it was made for
+const sortKey = (sort) =>
+  Object.entries(sort)
+    .map(([field, order]) => `${field}:${order}`)
+    .join(",");
+
+//direction -> "next" (the documents after doc) or "prev" (the documents before doc)
+const encodeCursor = (doc, sort, direction) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sortKey(sort),
+      d: direction,
+      v: Object.keys(sort).map((field) => encodeValue(doc[field])),
+    })
+  ).toString("base64url");
+
+//throws when the token is broken or belongs to another sort
+const decodeCursor = (token, sort) => {
+  try {
+    const { s, d, v } = JSON.parse(Buffer.from(token, "base64url").toString());
+    if (s !== sortKey(sort) || !["next", "prev"].includes(d)) throw new Error();
+    if (!Array.isArray(v) || v.length !== Object.keys(sort).length) {
+      throw new Error();
+    }
+    return { direction: d, values: v.map(decodeValue) };
+  } catch {
+    throw new InvalidCursorError();
+  }
+};
+
+//field comes after value in this order (1 ascending, -1 descending)
+//mongo sorts null / missing before every other value, and $gt/$lt never match null -> handled by hand
+const afterValue = (field, value, order) => {
+  if (order === 1) {
+    return value === null
+      ? { [field]: { $ne: null } }
+      : { [field]: { $gt: value } };
+  }
+  return value === null
+    ? null //nothing comes after null when sorting descending
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+//documents after the position (values) in the sort order, e.g. for { age: 1, _id: 1 }
+//age > v0  OR  (age = v0 AND _id > v1)
+const keysetFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  const branches = [];
+
+  fields.forEach((field, index) => {
+    const after = afterValue(field, values[index], sort[field]);
+    if (!after) return;
+
+    const equal = fields
+      .slice(0, index)
+      .map((previous, i) => ({ [previous]: values[i] }));
+    branches.push(equal.length ? { $and: [...equal, after] } : after);
+  });
+
+  return branches.length ? { $or: branches } : { _id: null }; //_id: null -> no document
+};
+
+const reverseSort = (sort) =>
+  Object.fromEntries(
+    Object.entries(sort).map(([field, order]) => [field, -order])
+  );
+
+//?limit=20&cursor=...&includeTotal=true -> { limit, cursor, includeTotal }
+//throws a BadRequestError when the limit is not a positive number
+export const parsePageParams = (query = {}) => {
+  const limit =
+    query.limit === undefined ? PAGE_SIZE_DEFAULT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new BadRequestError("limit must be a positive whole number");
+  }
+
+  return {
+    limit: Math.min(limit, PAGE_SIZE_MAX),
+    cursor: typeof query.cursor === "string" ? query.cursor : null,
+    includeTotal: query.includeTotal === "true",
+  };
+};
+
+//runs one page of a listing
+//fetch(filter, sort, limit) -> the documents (plain objects) for a mongo filter, in that sort, at most limit
+//count(filter) -> total number of documents, only called for includeTotal
+//returns { items, page: { limit, next, prev, total? } }
+const paginate = async ({ filter, sort, page, fetch, count }) => {
+  const fullSort = { ...sort, _id: sort._id ?? 1 };
+  const cursor = page.cursor ? decodeCursor(page.cursor, fullSort) : null;
+  const backwards = cursor?.direction === "prev";
+
+  //going backwards -> walk the reversed order from the cursor and flip the result
+  const walkSort = backwards ? reverseSort(fullSort) : fullSort;
+  const pageFilter = cursor
+    ? { $and: [filter, keysetFilter(walkSort, cursor.values)] }
+    : filter;
+
+  //one extra document tells us if there is another page
+  const docs = await fetch(pageFilter, walkSort, page.limit + 1);
+  const hasMore = docs.length > page.limit;
+  const items = docs.slice(0, page.limit);
+  if (backwards) items.reverse();
+
+  const first = items[0];
+  const last = items.at(-1);
+  const result = {
+    items,
+    page: {
+      limit: page.limit,
+      //forwards there is a next page when we got the extra document, backwards we came from there
+      next:
+        last && (backwards || hasMore)
+          ? encodeCursor(last, fullSort, "next")
+          : null,
+      prev:
+        first && (backwards ? hasMore : Boolean(cursor))
+          ? encodeCursor(first, fullSort, "prev")
+          : null,
+    },
+  };
+
+  if (page.includeTotal) result.page.total = await count(filter);
+  return result;
+};
+
+//one page of Model.find()
+//fields -> projection, the sort fields are fetched as well to build the cursors and removed again
+export const paginateFind = async (model, { filter, sort, fields, page }) => {
+  const result = await paginate({
+    filter,
+    sort,
+    page,
+    fetch: (pageFilter, pageSort, limit) =>
+      model
+        .find(pageFilter)
+        .select([...new Set([...fields, ...Object.keys(pageSort)])])
+        .sort(pageSort)
+        .limit(limit)
+        .lean(),
+    count: (countFilter) => model.countDocuments(countFilter),
+  });
+
+  result.items = result.items.map((doc) =>
+    Object.fromEntries(fields.map((field) => [field, doc[field]]))
+  );
+  return result;
+};
+
+//one page of an aggregation
+//pipeline -> stages that run before the paging stages ($match, $project...), the sort fields have to survive them
+export const paginateAggregate = (model, { pipeline = [], sort, page }) =>
+  paginate({
+    filter: {},
+    sort,
+    page,
+    fetch: (pageFilter, pageSort, limit) =>
+      model.aggregate([
+        ...pipeline,
+        { $match: pageFilter },
+        { $sort: pageSort },
+        { $limit: limit },
+      ]),
+    count: async () => {
+      const [result] = await model.aggregate([
+        ...pipeline,
+        { $count: "total" },
+      ]);
+      return result?.total ?? 0;
+    },
+  });
@@ -0,0 +1,72 @@
+import fs from "fs";
+import {
+  PASSWORD_MAX_BYTES,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_REQUIRED_CLASSES,
+} from "../config.js";
+
+//rules that only need the password itself (the history check lives on the User model)
+//every rule reports { code, message } so the client can show each problem next to the field
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /\p{Ll}/u, message: "a lowercase letter" },
+  uppercase: { pattern: /\p{Lu}/u, message: "an uppercase letter" },
+  digit: { pattern: /\p{Nd}/u, message: "a digit" },
+  symbol: { pattern: /[^\p{L}\p{Nd}\s]/u, message: "a symbol" },
+};
+
+//bundled list of common / breached passwords, loaded once
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(
+      new URL("../data/common-passwords.txt", import.meta.url),
+      "utf8"
+    )
+    .split("\n")
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"))
+);
+
+//returns the list of broken rules, empty when the password is fine
+export const checkPasswordRules = (password) => {
+  if (typeof password !== "string") {
+    return [{ code: "password.type", message: "Password must be a string" }];
+  }
+
+  const violations = [];
+
+  //count characters, not UTF-16 units, so emoji passphrases are measured fairly
+  if ([...password].length < PASSWORD_MIN_LENGTH) {
+    violations.push({
+      code: "password.too_short",
+      message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+    });
+  }
+
+  if (Buffer.byteLength(password, "utf8") > PASSWORD_MAX_BYTES) {
+    violations.push({
+      code: "password.too_long",
+      message: `Password must be at most ${PASSWORD_MAX_BYTES} bytes`,
+    });
+  }
+
+  for (const name of PASSWORD_REQUIRED_CLASSES) {
+    const characterClass = CHARACTER_CLASSES[name];
+    if (characterClass && !characterClass.pattern.test(password)) {
+      violations.push({
+        code: `password.missing_${name}`,
+        message: `Password must contain ${characterClass.message}`,
+      });
+    }
+  }
+
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    violations.push({
+      code: "password.common",
+      message:
+        "Password is too common, it appears in lists of breached passwords",
+    });
+  }
+
+  return violations;
+};
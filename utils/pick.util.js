@@ -0,0 +1,11 @@
+//copy only the allowed keys -> protects against mass assignment
+//pick({ name: "a", role: "admin" }, ["name"]) -> { name: "a" }
+export const pick = (source, fields) => {
+  const result = {};
+  if (!source || typeof source !== "object") return result;
+
+  for (const field of fields) {
+    if (Object.hasOwn(source, field)) result[field] = source[field];
+  }
+  return result;
+};
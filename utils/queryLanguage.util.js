@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import { BadRequestError } from "./errors.util.js";
+
+//a small, safe query language for list endpoints
+//?age[gte]=25&role[in]=user,admin&sort=-age,name&fields=name,email
+//field and operator names are looked up in allowlists and every value is cast with the type from the schema,
+//so nothing the client sends ever becomes a mongo operator ($where, $regex...) or an object
+
+//operator in the url -> mongo operator, and whether it takes a comma separated list
+const OPERATORS = {
+  eq: { mongo: "$eq" },
+  ne: { mongo: "$ne" },
+  gt: { mongo: "$gt" },
+  gte: { mongo: "$gte" },
+  lt: { mongo: "$lt" },
+  lte: { mongo: "$lte" },
+  in: { mongo: "$in", list: true },
+  nin: { mongo: "$nin", list: true },
+  exists: { mongo: "$exists" },
+};
+
+//which operators make sense for which schema type
+const TYPE_OPERATORS = {
+  String: ["eq", "ne", "in", "nin", "exists"],
+  Number: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "exists"],
+  Date: ["eq", "ne", "gt", "gte", "lt", "lte", "exists"],
+  Boolean: ["eq", "ne", "exists"],
+  ObjectId: ["eq", "ne", "in", "nin"],
+};
+
+//"age[gte]" -> ["age", "gte"], "age" -> ["age", "eq"]
+const KEY_PATTERN = /^([A-Za-z_]\w*)(?:\[([a-z]+)\])?$/;
+
+const castBoolean = (value) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new Error();
+};
+
+//string from the url -> value of the schema type, throws when it does not fit
+const castValue = (schemaType, value) => {
+  switch (schemaType.instance) {
+    case "Number": {
+      const number = Number(value);
+      if (value === "" || Number.isNaN(number)) throw new Error();
+      return number;
+    }
+    case "Date": {
+      const date = new Date(value);
+      if (Number.isNaN(date.valueOf())) throw new Error();
+      return date;
+    }
+    case "Boolean":
+      return castBoolean(value);
+    case "ObjectId":
+      if (!mongoose.isValidObjectId(value)) throw new Error();
+      return new mongoose.Types.ObjectId(value);
+    default: {
+      if (
+        schemaType.enumValues?.length &&
+        !schemaType.enumValues.includes(value)
+      ) {
+        throw new Error();
+      }
+      return value;
+    }
+  }
+};
+
+//"-age,name" -> { age: -1, name: 1 }
+const parseSort = (value, sortFields) => {
+  const sort = {};
+  for (const part of value.split(",").map((field) => field.trim())) {
+    const field = part.replace(/^-/, "");
+    if (!sortFields.includes(field)) {
+      throw new BadRequestError(`Can not sort by "${field}"`);
+    }
+    sort[field] = part.startsWith("-") ? -1 : 1;
+  }
+  return sort;
+};
+
+//"name,email" -> ["name", "email"]
+const parseFields = (value, projectFields) => {
+  const fields = value.split(",").map((field) => field.trim());
+  const unknown = fields.filter((field) => !projectFields.includes(field));
+  if (unknown.length) {
+    throw new BadRequestError(`Unknown fields: ${unknown.join(", ")}`);
+  }
+  return fields;
+};
+
+//query -> req.query (express' simple parser: every value is a string, or an array when a key is repeated)
+//schema -> the mongoose schema the filter values are cast with
+//filterFields / sortFields / projectFields -> allowlists
+//ignore -> parameters that belong to the route (format, limit...) and are not filters
+//returns { filter, sort, fields } -> sort and fields are null when not asked for
+//throws a BadRequestError with a message for the client when anything is not allowed
+export const parseQueryLanguage = (
+  query,
+  { schema, filterFields, sortFields, projectFields, ignore = [] }
+) => {
+  const filter = {};
+  let sort = null;
+  let fields = null;
+
+  for (const [key, value] of Object.entries(query ?? {})) {
+    if (ignore.includes(key)) continue;
+
+    if (typeof value !== "string") {
+      throw new BadRequestError(`"${key}" can only be given once`);
+    }
+
+    if (key === "sort") {
+      sort = parseSort(value, sortFields);
+      continue;
+    }
+    if (key === "fields") {
+      fields = parseFields(value, projectFields);
+      continue;
+    }
+
+    const match = KEY_PATTERN.exec(key);
+    if (!match || !filterFields.includes(match[1])) {
+      throw new BadRequestError(`Unknown filter "${key}"`);
+    }
+
+    const [, field, operatorName = "eq"] = match;
+    const schemaType = schema.path(field);
+    const allowed = TYPE_OPERATORS[schemaType?.instance] ?? [];
+    if (!allowed.includes(operatorName)) {
+      throw new BadRequestError(
+        `Operator "${operatorName}" is not allowed on "${field}"`
+      );
+    }
+
+    const operator = OPERATORS[operatorName];
+    let cast;
+    try {
+      if (operatorName === "exists") {
+        cast = castBoolean(value);
+      } else if (operator.list) {
+        cast = value.split(",").map((item) => castValue(schemaType, item));
+      } else {
+        cast = castValue(schemaType, value);
+      }
+    } catch {
+      throw new BadRequestError(`Invalid value for "${key}"`);
+    }
+
+    filter[field] = { ...filter[field], [operator.mongo]: cast };
+  }
+
+  return { filter, sort, fields };
+};
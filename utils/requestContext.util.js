@@ -0,0 +1,10 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+//the request that is being handled, reachable from code that never gets req passed in (e.g. mongoose hooks)
+//AsyncLocalStorage follows the request through every await, so parallel requests never see each other's data
+const storage = new AsyncLocalStorage();
+
+export const runWithRequest = (req, fn) => storage.run({ req }, fn);
+
+//undefined outside of a request (startup, the purge job...)
+export const currentRequest = () => storage.getStore()?.req;
@@ -0,0 +1,81 @@
+//helpers for user search
+//user input is never turned into a regex pattern as is: a pattern like (a+)+$ can keep the database busy for minutes (ReDoS)
+
+//every regex special character escaped -> the text only matches itself
+export const escapeRegex = (text) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+//lowercase, without accents, only letters/digits and single spaces ("John.Doe@x.com" -> "john doe x com")
+export const normalizeSearchText = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+//stored with the trigrams of every user, raise it when trigrams() changes so the backfill computes them again
+export const SEARCH_GRAMS_VERSION = 1;
+
+//"john" -> ["  j", " jo", "joh", "ohn"]
+//the padding makes the start of a word count, so a prefix typed so far ("jo") already has trigrams
+//a typo only breaks the trigrams around it, "jahn smith" still shares most of its trigrams with "john smith"
+export const trigrams = (text) => {
+  const grams = new Set();
+  for (const word of normalizeSearchText(text).split(" ")) {
+    if (!word) continue;
+
+    const padded = `  ${word}`;
+    for (let i = 0; i + 3 <= padded.length; i++)
+      grams.add(padded.slice(i, i + 3));
+  }
+  return [...grams];
+};
+
+//the text with every occurrence of the fragments wrapped in <mark>, HTML escaped so it can be shown as is
+//fragments are compared case-insensitively and without regexes
+export const highlight = (text, fragments) => {
+  if (typeof text !== "string") return text;
+
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const fragment of fragments) {
+    const needle = fragment.toLowerCase();
+    if (!needle) continue;
+
+    let index = lower.indexOf(needle);
+    while (index !== -1) {
+      ranges.push([index, index + needle.length]);
+      index = lower.indexOf(needle, index + 1);
+    }
+  }
+
+  //overlapping matches become one mark ("joh" + "ohn" -> "<mark>john</mark>")
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const previous = merged.at(-1);
+    if (previous && range[0] <= previous[1]) {
+      previous[1] = Math.max(previous[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+
+  let result = "";
+  let position = 0;
+  for (const [start, end] of merged) {
+    result += escapeHtml(text.slice(position, start));
+    result += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+  return result + escapeHtml(text.slice(position));
+};
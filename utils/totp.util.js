@@ -0,0 +1,102 @@
+import crypto from "crypto";
+
+//TOTP (RFC 6238) -> the code is an HMAC of the number of 30 second steps since 1970
+//authenticator apps (Google Authenticator, Authy...) compute the same code from the shared secret
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+export const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+//160 bit secret, the size recommended by RFC 4226
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, "0");
+};
+
+export const currentStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+export const generateTotp = (secret, time = Date.now()) =>
+  hotp(base32Decode(secret), currentStep(time));
+
+//accepts the codes of the previous, current and next step (clock drift)
+//returns the matching step, or null -> store it and pass it as afterStep so a code can not be used twice
+export const verifyTotp = (
+  secret,
+  code,
+  { window = 1, afterStep = -1 } = {}
+) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const key = base32Decode(secret);
+  const now = currentStep();
+
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= afterStep) continue;
+
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+//the uri that authenticator apps read from a QR code
+export const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,317 @@
+import express from "express";
+import mongoose from "mongoose";
+import User, { ROLES } from "../model/user.model.js";
+import { createInvite } from "../service/invite.service.js";
+import { unlockAccount } from "../service/loginThrottle.service.js";
+import { rotateSigningKey } from "../service/signingKey.service.js";
+import {
+  startImpersonation,
+  stopImpersonation,
+} from "../service/impersonation.service.js";
+import { listAudit, writeAudit } from "../service/audit.service.js";
+import {
+  listUserHistory,
+  restoreUserVersion,
+  versionAt,
+} from "../service/userHistory.service.js";
+import {
+  findDeletedUser,
+  restoreUser,
+} from "../service/userDeletion.service.js";
+import {
+  authenticate,
+  authorize,
+  denyImpersonation,
+  hasRole,
+} from "../middleware/auth.middleware.js";
+import { requireIfMatch } from "../middleware/precondition.middleware.js";
+import { etagMatches, userEtag } from "../utils/etag.util.js";
+import { parsePageParams } from "../utils/pagination.util.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  PreconditionFailedError,
+} from "../utils/errors.util.js";
+const router = express.Router();
+
+//every route here changes roles, credentials or keys -> never with an impersonation token
+const adminOnly = [authenticate, denyImpersonation, authorize("admin")];
+const superadminOnly = [
+  authenticate,
+  denyImpersonation,
+  authorize("superadmin"),
+];
+
+//privileged fields live here, the public signup/update routes never accept them
+
+//change the role of a user
+//an admin can only hand out roles they have themselves (admin can not create a superadmin)
+//and can only change users that are not above them
+router.put("/users/:id/role", adminOnly, async (req, res) => {
+  const { role } = req.body ?? {};
+
+  if (!ROLES.includes(role)) {
+    throw new BadRequestError(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  if (!hasRole(req.user.role, role)) {
+    throw new ForbiddenError("You can not grant a role above your own");
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!hasRole(req.user.role, user.role)) {
+    throw new ForbiddenError("You can not change the role of this user");
+  }
+
+  user.role = role;
+  await user.save();
+
+  res.status(200).json({
+    message: "Role updated successfully",
+    user,
+  });
+});
+
+//bring back a soft deleted user (only possible until the purge job removed them)
+//their old tokens stay invalid, the user has to log in again
+router.post("/users/:id/restore", adminOnly, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new NotFoundError("Deleted user not found");
+  }
+
+  const user = await findDeletedUser(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError("Deleted user not found");
+  }
+
+  if (!hasRole(req.user.role, user.role)) {
+    throw new ForbiddenError("You can not restore this user");
+  }
+
+  try {
+    await restoreUser(user);
+  } catch (err) {
+    //someone signed up with the same email after the delete
+    if (err.code === 11000) {
+      throw new ConflictError(
+        "The email of this user is used by another account"
+      );
+    }
+    throw err;
+  }
+
+  await writeAudit({
+    action: "user.restore",
+    actor: req.user.id,
+    target: user._id,
+    req,
+    status: 200,
+  });
+
+  res.status(200).json({
+    message: "User restored successfully",
+    user,
+  });
+});
+
+//who changed this user, when and what (field level diffs, secrets redacted)
+//newest first, paged with ?limit= and ?cursor= like GET /users
+router.get("/users/:id/history", adminOnly, async (req, res) => {
+  const page = parsePageParams(req.query);
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new NotFoundError("User not found");
+  }
+
+  const { items, page: pageInfo } = await listUserHistory(req.params.id, page);
+
+  res.status(200).json({
+    history: items,
+    page: pageInfo,
+  });
+});
+
+//put name, age, email and role back to how they were after a history entry
+//If-Match is required like for the other user writes
+router.post(
+  "/users/:id/history/:entryId/restore",
+  adminOnly,
+  requireIfMatch,
+  async (req, res) => {
+    const { id, entryId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(entryId)) {
+      throw new NotFoundError("History entry not found");
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (!etagMatches(req.get("If-Match"), userEtag(user))) {
+      throw new PreconditionFailedError("The user was changed by someone else");
+    }
+
+    const version = await versionAt(id, entryId);
+    if (!version) {
+      throw new NotFoundError("History entry not found");
+    }
+
+    //same rules as PUT /users/:id/role, a restore can not be used to hand out a higher role
+    const role = version.values.role ?? user.role;
+    if (!hasRole(req.user.role, user.role) || !hasRole(req.user.role, role)) {
+      throw new ForbiddenError("You can not restore this version");
+    }
+
+    //a VersionError (saved by someone else in between) -> 412 from the error middleware
+    try {
+      await restoreUserVersion(user, version.entry, version.values);
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new ConflictError(
+          "The old email of this user is used by another account"
+        );
+      }
+      throw err;
+    }
+
+    await writeAudit({
+      action: "user.version.restore",
+      actor: req.user.id,
+      target: user._id,
+      req,
+      status: 200,
+    });
+
+    res.set("ETag", userEtag(user));
+    res.status(200).json({
+      message: "Version restored successfully",
+      user,
+    });
+  }
+);
+
+//invite someone to sign up with a given role
+//the token is only returned here, the recipient sends it as inviteToken to POST /signup
+router.post("/invites", adminOnly, async (req, res) => {
+  const { email, role = "user" } = req.body ?? {};
+
+  if (!ROLES.includes(role)) {
+    throw new BadRequestError(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  if (!hasRole(req.user.role, role)) {
+    throw new ForbiddenError("You can not invite a role above your own");
+  }
+
+  const { invite, token } = await createInvite({
+    email,
+    role,
+    invitedBy: req.user.id,
+  });
+
+  res.status(201).json({
+    message: "Invite created successfully",
+    inviteToken: token,
+    email: invite.email,
+    role: invite.role,
+    expiresAt: invite.expiresAt,
+  });
+});
+
+//clear the failed login counter of an account so the user can log in again right away
+router.post("/users/:id/unlock", adminOnly, async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  const wasLocked = await unlockAccount(user.email);
+
+  res.status(200).json({
+    message: wasLocked
+      ? "Account unlocked successfully"
+      : "Account was not locked",
+  });
+});
+
+//rotate the access token signing key right away (e.g. the private key leaked)
+//tokens signed with the old key keep working until its grace window ends
+router.post("/admin/keys/rotate", superadminOnly, async (req, res) => {
+  const kid = await rotateSigningKey();
+
+  res.status(200).json({
+    message: "Signing key rotated successfully",
+    kid,
+  });
+});
+
+//support -> see the app exactly as a user sees it
+//stop is declared first so "stop" is not taken for an :id
+router.post("/admin/impersonate/stop", authenticate, async (req, res) => {
+  if (!req.user.imp) {
+    throw new BadRequestError("You are not impersonating anyone");
+  }
+
+  await stopImpersonation(req);
+
+  res.status(200).json({
+    message: "Impersonation ended",
+  });
+});
+
+//returns a short lived token that acts as the user, every request made with it is audited
+//superadmins can not be impersonated
+router.post("/admin/impersonate/:id", superadminOnly, async (req, res) => {
+  const [impersonator, target] = await Promise.all([
+    User.findById(req.user.id),
+    User.findById(req.params.id),
+  ]);
+
+  if (!target) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (target.role === "superadmin" || target._id.equals(impersonator._id)) {
+    throw new ForbiddenError("This user can not be impersonated");
+  }
+
+  const { impersonation, accessToken } = await startImpersonation(
+    req,
+    impersonator,
+    target,
+    req.body?.reason
+  );
+
+  res.status(200).json({
+    message: `Impersonating ${target.email}`,
+    accessToken,
+    impersonationId: impersonation._id,
+    expiresAt: impersonation.expiresAt,
+  });
+});
+
+//latest audit entries, filter with ?actor=<userId>&actorApiKey=<keyId>&target=<userId>&action=<action>
+router.get("/admin/audit", superadminOnly, async (req, res) => {
+  const filter = {};
+  for (const field of ["actor", "actorApiKey", "target", "action"]) {
+    if (typeof req.query[field] === "string") filter[field] = req.query[field];
+  }
+
+  const entries = await listAudit(filter);
+
+  res.status(200).json({
+    entries,
+  });
+});
+
+export default router;
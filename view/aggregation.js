@@ -1,87 +1,128 @@
 import express from "express";
 import User from "../model/user.model.js";
+import {
+  authenticateOrApiKey,
+  authorize,
+  hasScope,
+} from "../middleware/auth.middleware.js";
+import {
+  paginateAggregate,
+  parsePageParams,
+} from "../utils/pagination.util.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.util.js";
+import { USER_FIELDS } from "../service/userQuery.service.js";
 const router = express.Router();
 
-router.get("/aggregation", async (req, res) => {
-  try {
-    const data = await User.aggregate([
-      {
-        $match: {
-          role: "admin",
-        },
-      },
-    ]);
+//toJSON does not run on aggregation results -> only the public fields of GET /users leave the database
+//(an allowlist, so a new internal field stays hidden without touching this file)
+const USER_PROJECTION = Object.fromEntries(
+  USER_FIELDS.map((field) => [field, 1])
+);
 
-    if (!data) {
-      res.send("No data found");
-    }
+//analytics expose data about every user -> admins, or API keys with the analytics:read scope
+const readAnalytics = [
+  authenticateOrApiKey,
+  authorize("admin", hasScope("analytics:read")),
+];
+
+router.get("/aggregation", readAnalytics, async (req, res) => {
+  const data = await User.aggregate([
+    {
+      $match: {
+        role: "admin",
+      },
+    },
+    {
+      $project: USER_PROJECTION,
+    },
+  ]);
 
-    res.json({
-      data,
-    });
-  } catch (err) {
-    res.send(err.message);
+  //aggregate() always returns an array, an empty one when nothing matched
+  if (!data.length) {
+    throw new NotFoundError("No data found");
   }
+
+  res.json({
+    data,
+  });
 });
 
 //count the number of users, admins, superadmins
 
-router.get("/roles", async (req, res) => {
-  try {
-    const analytics = await User.aggregate([
-      {
-        $group: {
-          _id: "$role",
-          countofUsers: {
-            $sum: 1,
-          },
+router.get("/roles", readAnalytics, async (req, res) => {
+  const analytics = await User.aggregate([
+    {
+      $group: {
+        _id: "$role",
+        countofUsers: {
+          $sum: 1,
         },
       },
-      {
-        $project: {
-          _id: 0,
-          role: "$_id",
-          countofUsers: 1,
-        },
+    },
+    {
+      $project: {
+        _id: 0,
+        role: "$_id",
+        countofUsers: 1,
       },
-      {
-        $sort: {
-          countofUsers: -1, //descending
-        },
+    },
+    {
+      $sort: {
+        countofUsers: -1, //descending
       },
-    ]);
+    },
+  ]);
 
-    //$sum, $avg, $max,$min
+  //$sum, $avg, $max,$min
 
-    res.json({
-      analytics,
-    });
-  } catch (err) {
-    res.send(err.message);
-  }
+  res.json({
+    analytics,
+  });
 });
 
-router.get("/pagination/:page", async (req, res) => {
-  try {
-    const page = req.params.page;
-    const limit = 2;
+//cursor (keyset) paging, ?limit= and ?cursor= from page.next / page.prev of the previous answer
+//?includeTotal=true adds page.total
+//a broken cursor or limit -> 400 from the error middleware
+router.get("/pagination", readAnalytics, async (req, res) => {
+  const page = parsePageParams(req.query);
 
-    const skip = (page - 1) * limit;
-    // (2-1)*2= 2
+  const { items, page: pageInfo } = await paginateAggregate(User, {
+    pipeline: [{ $project: USER_PROJECTION }],
+    sort: { _id: 1 },
+    page,
+  });
 
-    const users = await User.aggregate([
-      {
-        $skip: skip,
-      },
-      {
-        $limit: limit,
-      },
-    ]);
+  res.json({ users: items, page: pageInfo });
+});
+
+//page numbers -> $skip still walks through every skipped document, prefer /pagination with a cursor
+router.get("/pagination/:page", readAnalytics, async (req, res) => {
+  const page = Number(req.params.page);
+  const { limit } = parsePageParams(req.query);
 
-    res.json({ users });
-  } catch (err) {
-    res.send(err.message);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new BadRequestError("page must be a positive whole number");
   }
+
+  const skip = (page - 1) * limit;
+  // (2-1)*2= 2
+
+  const users = await User.aggregate([
+    {
+      $sort: { _id: 1 }, //without a sort the pages can overlap
+    },
+    {
+      $skip: skip,
+    },
+    {
+      $limit: limit,
+    },
+    {
+      $project: USER_PROJECTION,
+    },
+  ]);
+
+  res.json({ users });
 });
 
 export default router;
@@ -1,5 +1,6 @@
 import express from "express";
 import User from "../model/user.model.js";
+import { escapeRegex } from "../utils/search.util.js";
 
 const router = express.Router();
 
@@ -93,7 +94,7 @@ router.get("/pagination/:page", async (req, res) => {
 
 router.get("/search/:keyword", async (req, res) => {
   try {
-    const key = req.params.keyword;
+    const key = escapeRegex(req.params.keyword); // Escaped -> matched literally, no regex injection / ReDoS
 
     const results = await User.aggregate([
       {
@@ -0,0 +1,57 @@
+import express from "express";
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from "../service/apiKey.service.js";
+import {
+  authenticate,
+  authorize,
+  denyImpersonation,
+} from "../middleware/auth.middleware.js";
+import { NotFoundError } from "../utils/errors.util.js";
+const router = express.Router();
+
+//keys are managed by admins with a user token -> an API key can never create more keys
+const adminOnly = [authenticate, denyImpersonation, authorize("admin")];
+
+//the plain key is only in this response, store it right away
+//unknown scopes / a missing name -> 422 from the schema validators
+router.post("/api-keys", adminOnly, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body ?? {};
+
+  const { apiKey, key } = await createApiKey({
+    name,
+    scopes,
+    expiresInDays,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    message: "API key created successfully",
+    key,
+    apiKey,
+  });
+});
+
+router.get("/api-keys", adminOnly, async (req, res) => {
+  const apiKeys = await listApiKeys();
+
+  res.status(200).json({
+    apiKeys,
+  });
+});
+
+router.delete("/api-keys/:id", adminOnly, async (req, res) => {
+  const revoked = await revokeApiKey(req.params.id);
+
+  if (!revoked) {
+    throw new NotFoundError("API key not found");
+  }
+
+  res.status(200).json({
+    message: "API key revoked successfully",
+  });
+});
+
+export default router;
@@ -0,0 +1,206 @@
+import express from "express";
+import {
+  clearRefreshCookie,
+  revokeAllTokens,
+  revokeRefreshToken,
+  rotateRefreshToken,
+  setRefreshCookie,
+} from "../service/token.service.js";
+import { getJwks } from "../service/signingKey.service.js";
+import {
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+} from "../service/password.service.js";
+import {
+  resendVerificationEmail,
+  verifyEmail,
+} from "../service/emailVerification.service.js";
+import {
+  authenticate,
+  denyImpersonation,
+} from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/rateLimit.middleware.js";
+import {
+  BadRequestError,
+  UnauthorizedError,
+  UnprocessableError,
+} from "../utils/errors.util.js";
+import { REFRESH_COOKIE_NAME } from "../config.js";
+const router = express.Router();
+
+//resending mails costs us money and can be used to spam someone -> 5 requests per IP every 15 minutes
+const resendLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: "Too many verification requests, please try again later",
+});
+//same idea for reset mails, the per account cooldown is in requestPasswordReset
+const forgotLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: "Too many password reset requests, please try again later",
+});
+
+//the access token expired -> the client calls this to get a new one without logging in again
+//every call also replaces the refresh token (rotation)
+router.post("/token/refresh", async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME];
+
+  if (!refreshToken) {
+    throw new UnauthorizedError("Refresh token missing");
+  }
+
+  const tokens = await rotateRefreshToken(refreshToken, { ip: req.ip });
+
+  if (!tokens) {
+    clearRefreshCookie(res);
+    throw new UnauthorizedError("Invalid or expired refresh token");
+  }
+
+  setRefreshCookie(res, tokens.refreshToken);
+  res.status(200).json({
+    accessToken: tokens.accessToken,
+  });
+});
+
+//logout of this device -> the refresh token in the cookie stops working
+//the short lived access token simply runs out
+router.post("/logout", async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME];
+
+  if (refreshToken) await revokeRefreshToken(refreshToken);
+
+  clearRefreshCookie(res);
+  res.status(200).json({
+    message: "Logged out successfully",
+  });
+});
+
+//logout of every device, including the access tokens that have not expired yet
+router.post(
+  "/logout-all",
+  authenticate,
+  denyImpersonation,
+  async (req, res) => {
+    await revokeAllTokens(req.user.id);
+
+    clearRefreshCookie(res);
+    res.status(200).json({
+      message: "Logged out of all devices",
+    });
+  }
+);
+
+//forgot password -> mails a single use reset link
+//the response is the same (and sent before any lookup) whether the email exists or not
+router.post("/password/forgot", forgotLimiter, (req, res) => {
+  const { email } = req.body ?? {};
+
+  if (email) {
+    requestPasswordReset(email).catch((err) => console.error(err.message));
+  }
+
+  res.status(200).json({
+    message: "If that email is registered, a reset link has been sent",
+  });
+});
+
+//a password that breaks the policy -> 422 with every violation in details
+router.post("/password/reset", async (req, res) => {
+  const { token, password } = req.body ?? {};
+
+  if (!token || !password) {
+    throw new BadRequestError("Token and password are required");
+  }
+
+  const result = await resetPassword(token, password);
+
+  if (!result) {
+    throw new BadRequestError("Invalid or expired reset token");
+  }
+
+  if (result.violations) {
+    throw new UnprocessableError(
+      "Password does not meet the password policy",
+      result.violations
+    );
+  }
+
+  res.status(200).json({
+    message: "Password reset successfully",
+  });
+});
+
+//change the password while logged in
+//all other logins are revoked (tokenVersion), so the user has to log in again with the new password
+router.post(
+  "/password/change",
+  authenticate,
+  denyImpersonation,
+  async (req, res) => {
+    const { currentPassword, newPassword } = req.body ?? {};
+
+    if (!currentPassword || !newPassword) {
+      throw new BadRequestError(
+        "Current password and new password are required"
+      );
+    }
+
+    const result = await changePassword(
+      req.user.id,
+      currentPassword,
+      newPassword
+    );
+
+    if (result.violations) {
+      throw new UnprocessableError(
+        "Password could not be changed",
+        result.violations
+      );
+    }
+
+    clearRefreshCookie(res);
+    res.status(200).json({
+      message: "Password changed successfully, please log in again",
+    });
+  }
+);
+
+//the link from the verification mail
+router.get("/verify-email/:token", async (req, res) => {
+  const user = await verifyEmail(req.params.token);
+
+  if (!user) {
+    throw new BadRequestError("Invalid or expired verification link");
+  }
+
+  res.status(200).json({
+    message: "Email verified successfully",
+  });
+});
+
+//same answer for unknown, verified and throttled accounts
+router.post("/verify-email/resend", resendLimiter, (req, res) => {
+  const { email } = req.body ?? {};
+
+  if (email) {
+    resendVerificationEmail(email).catch((err) => console.error(err.message));
+  }
+
+  res.status(200).json({
+    message:
+      "If that email is registered and not verified yet, a new link has been sent",
+  });
+});
+
+//public keys for verifying access tokens (match the kid in the token header)
+//other services fetch this instead of sharing a secret with us
+router.get("/.well-known/jwks.json", async (req, res) => {
+  const jwks = await getJwks();
+
+  res.set("Cache-Control", "public, max-age=300");
+  res.status(200).json(jwks);
+});
+
+export default router;
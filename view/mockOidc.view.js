@@ -0,0 +1,184 @@
+import express from "express";
+import crypto from "crypto";
+import { SignJWT } from "jose";
+import { randomToken } from "../utils/crypto.util.js";
+import { APP_URL } from "../config.js";
+const router = express.Router();
+
+//a tiny OpenID Connect provider for development and tests
+//it never shows a login page -> /authorize signs in whoever is named in ?login_hint= (default mock.user@example.com)
+//add &email_verified=false to simulate a provider that did not verify the email
+//NEVER enable this in production, anyone could log in as anyone
+
+const ISSUER = `${APP_URL}/mock-oidc`;
+const CLIENT_ID = "mock-client";
+const CLIENT_SECRET = "mock-secret";
+const REDIRECT_URI = `${APP_URL}/auth/mock/callback`;
+
+const codes = new Map(); // code -> { codeChallenge, nonce, claims, expiresAt }
+const accessTokens = new Map(); // access token -> { claims, expiresAt }
+
+//codes and tokens that were never used would stay in memory forever -> dropped once expired
+const pruneExpired = (map) => {
+  const now = Date.now();
+  for (const [key, value] of map) if (value.expiresAt <= now) map.delete(key);
+};
+
+//created on first use, lives as long as the process
+let signingKey = null;
+const getSigningKey = () => {
+  if (!signingKey) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    signingKey = { kid: crypto.randomUUID(), publicKey, privateKey };
+  }
+  return signingKey;
+};
+
+router.get("/mock-oidc/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+  });
+});
+
+router.get("/mock-oidc/jwks", (req, res) => {
+  const { kid, publicKey } = getSigningKey();
+  res.json({
+    keys: [
+      { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" },
+    ],
+  });
+});
+
+router.get("/mock-oidc/authorize", (req, res) => {
+  const {
+    response_type,
+    client_id,
+    redirect_uri,
+    state,
+    nonce,
+    code_challenge,
+    code_challenge_method,
+    login_hint,
+    email_verified,
+  } = req.query;
+
+  if (client_id !== CLIENT_ID || redirect_uri !== REDIRECT_URI) {
+    return res.status(400).send("Unknown client or redirect_uri");
+  }
+
+  const redirect = new URL(REDIRECT_URI);
+  if (state) redirect.searchParams.set("state", state);
+
+  if (
+    response_type !== "code" ||
+    !code_challenge ||
+    code_challenge_method !== "S256"
+  ) {
+    redirect.searchParams.set("error", "invalid_request");
+    return res.redirect(redirect.toString());
+  }
+
+  const email = String(login_hint || "mock.user@example.com").toLowerCase();
+  const claims = {
+    sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+    email,
+    email_verified: email_verified !== "false",
+    name: email.split("@")[0],
+  };
+
+  pruneExpired(codes);
+  const code = randomToken();
+  codes.set(code, {
+    codeChallenge: code_challenge,
+    nonce,
+    claims,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  redirect.searchParams.set("code", code);
+  res.redirect(redirect.toString());
+});
+
+router.post(
+  "/mock-oidc/token",
+  express.urlencoded({ extended: false }),
+  async (req, res) => {
+    const {
+      grant_type,
+      code,
+      redirect_uri,
+      client_id,
+      client_secret,
+      code_verifier,
+    } = req.body ?? {};
+
+    if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    //codes are single use
+    const saved = codes.get(code);
+    codes.delete(code);
+
+    const challenge = crypto
+      .createHash("sha256")
+      .update(String(code_verifier))
+      .digest("base64url");
+
+    if (
+      grant_type !== "authorization_code" ||
+      !saved ||
+      saved.expiresAt < Date.now() ||
+      redirect_uri !== REDIRECT_URI ||
+      challenge !== saved.codeChallenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const { kid, privateKey } = getSigningKey();
+    const idToken = await new SignJWT({ ...saved.claims, nonce: saved.nonce })
+      .setProtectedHeader({ alg: "RS256", kid })
+      .setIssuer(ISSUER)
+      .setAudience(CLIENT_ID)
+      .setIssuedAt()
+      .setExpirationTime("5m")
+      .sign(privateKey);
+
+    pruneExpired(accessTokens);
+    const accessToken = randomToken();
+    accessTokens.set(accessToken, {
+      claims: saved.claims,
+      expiresAt: Date.now() + 300 * 1000,
+    });
+
+    res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken,
+    });
+  }
+);
+
+router.get("/mock-oidc/userinfo", (req, res) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  const saved = accessTokens.get(token);
+
+  if (!saved || saved.expiresAt <= Date.now()) {
+    accessTokens.delete(token);
+    return res.status(401).json({ error: "invalid_token" });
+  }
+  res.json(saved.claims);
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import express from "express";
+import {
+  findOrCreateUser,
+  finishAuthorization,
+  getProvider,
+  listProviders,
+  startAuthorization,
+} from "../service/oauth.service.js";
+import { completeLogin } from "../service/login.service.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../utils/errors.util.js";
+import { IS_PRODUCTION, OAUTH_STATE_TTL_MINUTES } from "../config.js";
+const router = express.Router();
+
+//the state also goes into a cookie, so the callback only works in the browser that started the login (login CSRF)
+const STATE_COOKIE_NAME = "oauthState";
+//lax -> the cookie is still sent when the provider redirects the browser back to us
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: IS_PRODUCTION,
+  sameSite: "lax",
+  path: "/auth",
+};
+
+//"sign in with ..." buttons the frontend can show
+router.get("/auth/providers", (req, res) => {
+  res.status(200).json({
+    providers: listProviders(),
+  });
+});
+
+//step 1 -> send the browser to the provider
+router.get("/auth/:provider/login", async (req, res) => {
+  if (!getProvider(req.params.provider)) {
+    throw new NotFoundError("Unknown provider");
+  }
+
+  const { url, state } = await startAuthorization(req.params.provider, {
+    loginHint: req.query.login_hint,
+  });
+
+  res.cookie(STATE_COOKIE_NAME, state, {
+    ...stateCookieOptions,
+    maxAge: OAUTH_STATE_TTL_MINUTES * 60 * 1000,
+  });
+  res.redirect(url);
+});
+
+//step 2 -> the provider sends the browser back here with ?code&state
+//a provider that rejects the code or sends a broken answer -> 400 from the service
+router.get("/auth/:provider/callback", async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (!getProvider(req.params.provider)) {
+    throw new NotFoundError("Unknown provider");
+  }
+
+  if (error) {
+    throw new BadRequestError(`Login was cancelled: ${error}`);
+  }
+
+  const cookieState = req.cookies?.[STATE_COOKIE_NAME];
+  res.clearCookie(STATE_COOKIE_NAME, stateCookieOptions);
+
+  if (!code || !state || state !== cookieState) {
+    throw new BadRequestError("Invalid login attempt");
+  }
+
+  const identity = await finishAuthorization(req.params.provider, {
+    code,
+    state,
+  });
+
+  if (!identity) {
+    throw new BadRequestError("Invalid or expired login attempt");
+  }
+
+  const user = await findOrCreateUser(req.params.provider, identity);
+
+  if (!user) {
+    throw new ConflictError(
+      "An account with this email already exists, log in with your password to use it"
+    );
+  }
+
+  //email verification, 2FA and finally the tokens -> same rules as the password login
+  await completeLogin(req, res, user);
+});
+
+export default router;
@@ -0,0 +1,88 @@
+import express from "express";
+import User from "../model/user.model.js";
+import { listSessions, revokeSession } from "../service/session.service.js";
+import {
+  authenticate,
+  authorize,
+  denyImpersonation,
+  hasRole,
+} from "../middleware/auth.middleware.js";
+import { ForbiddenError, NotFoundError } from "../utils/errors.util.js";
+const router = express.Router();
+
+const adminOnly = [authenticate, authorize("admin")];
+//logging devices out is for the real user only, not for someone impersonating them
+const selfNotImpersonated = [authenticate, denyImpersonation];
+const adminNotImpersonated = [
+  authenticate,
+  denyImpersonation,
+  authorize("admin"),
+];
+
+//every device the logged in user is logged in on
+router.get("/me/sessions", authenticate, async (req, res) => {
+  const sessions = await listSessions(req.user.id, req.user.sid);
+
+  res.status(200).json({
+    sessions,
+  });
+});
+
+//log out one device -> its refresh token and its access tokens stop working
+router.delete("/me/sessions/:id", selfNotImpersonated, async (req, res) => {
+  const revoked = await revokeSession(req.user.id, req.params.id);
+
+  if (!revoked) {
+    throw new NotFoundError("Session not found");
+  }
+
+  res.status(200).json({
+    message: "Session revoked successfully",
+  });
+});
+
+//admins can do the same for any user that is not above them
+//throws when the user does not exist or is above the admin
+const findManagedUser = async (req) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!hasRole(req.user.role, user.role)) {
+    throw new ForbiddenError("You can not manage the sessions of this user");
+  }
+
+  return user;
+};
+
+router.get("/users/:id/sessions", adminOnly, async (req, res) => {
+  const user = await findManagedUser(req);
+
+  const sessions = await listSessions(user._id);
+
+  res.status(200).json({
+    sessions,
+  });
+});
+
+router.delete(
+  "/users/:id/sessions/:sessionId",
+  adminNotImpersonated,
+  async (req, res) => {
+    const user = await findManagedUser(req);
+
+    const revoked = await revokeSession(user._id, req.params.sessionId);
+
+    if (!revoked) {
+      throw new NotFoundError("Session not found");
+    }
+
+    res.status(200).json({
+      message: "Session revoked successfully",
+    });
+  }
+);
+
+export default router;
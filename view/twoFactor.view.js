@@ -0,0 +1,162 @@
+import express from "express";
+import User from "../model/user.model.js";
+import {
+  confirmEnrollment,
+  disableTwoFactor,
+  requiresTwoFactor,
+  startEnrollment,
+  verifyChallengeToken,
+  verifySecondFactor,
+} from "../service/twoFactor.service.js";
+import { sendLoginTokens } from "../service/token.service.js";
+import {
+  loginRetryAfter,
+  recordLoginFailure,
+} from "../service/loginThrottle.service.js";
+import {
+  authenticate,
+  denyImpersonation,
+} from "../middleware/auth.middleware.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} from "../utils/errors.util.js";
+const router = express.Router();
+
+//enrollment is allowed with a normal access token, or with the challenge token from /login
+//the second case is for roles that must use 2FA but have not set it up yet (they can not get an access token)
+const authenticateForEnrollment = async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) {
+    //authenticate passes its error to the callback -> forward it instead of going on
+    return authenticate(req, res, (err) =>
+      err ? next(err) : denyImpersonation(req, res, next)
+    );
+  }
+
+  //only for the case above: a role that must use 2FA and has not set it up yet
+  //everyone else enrolls with an access token, so a challenge token alone can never replace the password login
+  const user = await verifyChallengeToken(challengeToken);
+  if (!user || !requiresTwoFactor(user) || user.twoFactor?.enabled) {
+    throw new UnauthorizedError("Invalid or expired challenge token");
+  }
+
+  req.user = { id: user._id, role: user.role, tokenVersion: user.tokenVersion };
+  req.viaChallenge = true;
+  next();
+};
+
+//step 1 -> returns the secret and the otpauth:// uri (show it as a QR code)
+router.post("/2fa/setup", authenticateForEnrollment, async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw new BadRequestError("Two factor authentication is already enabled");
+  }
+
+  const { secret, otpauthUri } = await startEnrollment(user);
+
+  res.status(200).json({
+    message: "Scan the QR code and send a code to /2fa/verify",
+    secret,
+    otpauthUri,
+  });
+});
+
+//step 2 -> the first code from the app turns 2FA on and returns the recovery codes (only this once)
+router.post("/2fa/verify", authenticateForEnrollment, async (req, res) => {
+  const recoveryCodes = await confirmEnrollment(req.user.id, req.body?.code);
+
+  if (!recoveryCodes) {
+    throw new BadRequestError("Invalid code");
+  }
+
+  //enrolled during login -> the login is complete now
+  if (req.viaChallenge) {
+    const user = await User.findById(req.user.id);
+    return sendLoginTokens(req, res, user, { recoveryCodes });
+  }
+
+  res.status(200).json({
+    message: "Two factor authentication enabled",
+    recoveryCodes,
+  });
+});
+
+//second step of the login -> challenge token + a code from the app or a recovery code
+router.post("/login/2fa", async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body ?? {};
+
+  const user = await verifyChallengeToken(challengeToken);
+
+  if (!user) {
+    throw new UnauthorizedError("Invalid or expired challenge token");
+  }
+
+  if (!user.twoFactor?.enabled) {
+    throw new BadRequestError("Two factor authentication is not set up");
+  }
+
+  //wrong codes count as failed logins, so guessing the 6 digits is throttled too
+  const retryAfter = await loginRetryAfter(user.email, req.ip);
+  if (retryAfter) {
+    throw new TooManyRequestsError(
+      "Too many failed login attempts, please try again later",
+      retryAfter
+    );
+  }
+
+  const isValid = await verifySecondFactor(user._id, { code, recoveryCode });
+
+  if (!isValid) {
+    await recordLoginFailure(user.email, req.ip);
+    throw new UnauthorizedError("Invalid code");
+  }
+
+  await sendLoginTokens(req, res, user);
+});
+
+//roles that must use 2FA can not switch it off
+router.post(
+  "/2fa/disable",
+  authenticate,
+  denyImpersonation,
+  async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (requiresTwoFactor(user)) {
+      throw new ForbiddenError(
+        "Two factor authentication is required for your role"
+      );
+    }
+
+    const { code, recoveryCode } = req.body ?? {};
+    const isValid = await verifySecondFactor(user._id, {
+      code,
+      recoveryCode,
+    });
+
+    if (!isValid) {
+      throw new BadRequestError("Invalid code");
+    }
+
+    await disableTwoFactor(user._id);
+
+    res.status(200).json({
+      message: "Two factor authentication disabled",
+    });
+  }
+);
+
+export default router;
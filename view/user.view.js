@@ -1,18 +1,124 @@
 import express from "express";
+import mongoose from "mongoose";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
 import User from "../model/user.model.js";
+import { completeLogin } from "../service/login.service.js";
+import { claimInvite, releaseInvite } from "../service/invite.service.js";
+import { sendVerificationEmail } from "../service/emailVerification.service.js";
+import { softDeleteUser } from "../service/userDeletion.service.js";
+import {
+  arrayRows,
+  csvRows,
+  importUsers,
+  ndjsonRows,
+} from "../service/userImport.service.js";
+import { writeAudit } from "../service/audit.service.js";
+import {
+  loginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../service/loginThrottle.service.js";
+import { EXPORT_FORMATS, exportUsers } from "../service/userExport.service.js";
+import { parseUserQuery } from "../service/userQuery.service.js";
+import { SEARCH_MODES, searchUsers } from "../service/userSearch.service.js";
+import { pick } from "../utils/pick.util.js";
+import { etagMatches, userEtag } from "../utils/etag.util.js";
+import { paginateFind, parsePageParams } from "../utils/pagination.util.js";
+import { applyJsonPatch, applyMergePatch } from "../utils/jsonPatch.util.js";
+import { checkPasswordRules } from "../utils/passwordPolicy.util.js";
+import {
+  authenticateOrApiKey,
+  authorize,
+  denyImpersonation,
+  hasScope,
+  isSelf,
+} from "../middleware/auth.middleware.js";
+import { requireIfMatch } from "../middleware/precondition.middleware.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  PreconditionFailedError,
+  TooManyRequestsError,
+  UnauthorizedError,
+  UnprocessableError,
+  UnsupportedMediaTypeError,
+} from "../utils/errors.util.js";
+import { SEARCH_MAX_LENGTH } from "../config.js";
 const router = express.Router();
 
+//access policies -> every protected route lists one of these before its handler
+//admins (user token) or services (X-API-Key with the matching scope)
+const readUsers = [
+  authenticateOrApiKey,
+  authorize("admin", hasScope("users:read")),
+];
+const writeUsers = [
+  authenticateOrApiKey,
+  authorize("admin", hasScope("users:write")),
+];
+//...or the user the :id belongs to
+const readUserOrSelf = [
+  authenticateOrApiKey,
+  authorize("admin", isSelf(), hasScope("users:read")),
+];
+const writeUserOrSelf = [
+  authenticateOrApiKey,
+  authorize("admin", isSelf(), hasScope("users:write")),
+];
+//writes to an existing user also need the ETag they are based on (If-Match)
+const writeUsersIfMatch = [...writeUsers, requireIfMatch];
+const writeUserOrSelfIfMatch = [...writeUserOrSelf, requireIfMatch];
+//the login email is a credential (password resets go there) -> never with an impersonation token
+const writeProfileIfMatch = [...writeUserOrSelfIfMatch, denyImpersonation];
+
+//fields a client is allowed to send -> everything else (role, _id, timestamps...) is dropped
+//the role can only be changed through PUT /users/:id/role in admin.view.js or an invite
+const SIGNUP_FIELDS = ["name", "age", "email", "password"];
+const UPDATE_FIELDS = ["name", "age"];
+//a changed email has to be verified again (the model resets emailVerified)
+const PATCH_FIELDS = ["name", "age", "email"];
+
 // CREATE QUERIES
 //signup page
 router.post("/signup", async (req, res) => {
-  const userData = req.body;
+  const userData = pick(req.body, SIGNUP_FIELDS);
+
+  //every broken password rule at once, instead of one mongoose message
+  const violations = checkPasswordRules(userData.password);
+  if (violations.length) {
+    throw new UnprocessableError(
+      "Password does not meet the password policy",
+      violations
+    );
+  }
+
+  //an admin invite lets the new user start with a higher role
+  let invite = null;
+  if (req.body?.inviteToken) {
+    invite = await claimInvite(req.body.inviteToken, userData.email);
+    if (!invite) {
+      throw new BadRequestError("Invalid or expired invite");
+    }
+    userData.role = invite.role;
+  }
+
+  let createdUser;
+  try {
+    // users.push(userData);
+    createdUser = await User.create(userData);
 
-  // users.push(userData);
-  const createdUser = await User.create(userData);
+    // const user = new User(userData);
+    // await user.save(); //this is the object oriented programming way of creating the data
+    //sending the data to the DB
+  } catch (err) {
+    //the invite can be used again, the error (validation 422, taken email 409) goes to the error middleware
+    if (invite) await releaseInvite(invite);
+    throw err;
+  }
 
-  // const user = new User(userData);
-  // await user.save(); //this is the object oriented programming way of creating the data
-  //sending the data to the DB
+  //a failing mail must not fail the signup, the user can ask for a new one
+  sendVerificationEmail(createdUser).catch((err) => console.error(err.message));
 
   res.status(201).json({
     createdUser,
@@ -22,20 +128,34 @@ router.post("/signup", async (req, res) => {
 //a process where multiple documents are entered in the database at once
 //DATA SEEDING or handling bulk uploads
 
-router.post("/signup_multi", async (req, res) => {
-  const usersArray = req.body;
-
-  const users = await User.create(usersArray);
-
-  if (!users) {
-    res.status(400).json({
-      message: "Users couldnt be created",
-    });
+//bulk import, the body is streamed row by row so large files never have to fit in memory
+//text/csv (with a header line), application/x-ndjson (one user per line) or a JSON array
+//?dryRun=true -> only validate and report, nothing is saved
+//every rejected row is listed with its row number, field and error, the valid rows are still imported
+router.post("/signup_multi", writeUsers, async (req, res) => {
+  let rows;
+  if (req.is("text/csv")) {
+    rows = csvRows(req);
+  } else if (req.is(["application/x-ndjson", "application/jsonl"])) {
+    rows = ndjsonRows(req);
+  } else if (req.is("application/json")) {
+    rows = arrayRows(Array.isArray(req.body) ? req.body : [req.body]);
+  } else {
+    throw new UnsupportedMediaTypeError(
+      "Use text/csv, application/x-ndjson or application/json"
+    );
   }
 
-  res.status(201).json({
-    message: "All users created successfully",
-    users,
+  const report = await importUsers(rows, {
+    fields: SIGNUP_FIELDS,
+    dryRun: req.query.dryRun === "true",
+  });
+
+  res.status(report.dryRun || !report.imported ? 200 : 201).json({
+    message: report.dryRun
+      ? "Dry run finished, nothing was saved"
+      : `${report.imported} of ${report.total} users imported`,
+    report,
   });
 });
 
@@ -44,43 +164,127 @@ router.post("/signup_multi", async (req, res) => {
 // fetch any data form the db
 //conditions!!!
 
-router.get("/all_users", async (req, res) => {
+//a filter that is not allowed -> 400 (BadRequestError from the query language)
+router.get("/all_users", readUsers, async (req, res) => {
+  const query = parseUserQuery(req.query);
+
+  const users = await User.find(query.filter);
+  //find() -:> that returns multiple documents that follow the conditions
+  // findOne() -:> returns the FIRST document that matches the conditions
+
+  //no conditions for finding ALL USERS (the filter is empty without query parameters)
+  res.status(200).json({
+    users,
+  });
+});
+
+//one listing for every query shape, instead of a route per condition
+//?age[gte]=25&role[in]=user,admin&sort=-age,name&fields=name,email
+//operators: eq (default), ne, gt, gte, lt, lte, in, nin (comma separated), exists
+//fields, operators and values are checked against allowlists and the schema (see utils/queryLanguage.util.js)
+//paged with ?limit= (max PAGE_SIZE_MAX) and ?cursor= (page.next / page.prev of the previous answer)
+//?includeTotal=true adds page.total, that needs an extra count
+router.get("/users", readUsers, async (req, res) => {
+  const query = parseUserQuery(req.query, ["limit", "cursor", "includeTotal"]);
+  const page = parsePageParams(req.query);
+
+  const { items, page: pageInfo } = await paginateFind(User, {
+    ...query,
+    page,
+  });
+
+  res.status(200).json({
+    users: items,
+    page: pageInfo,
+  });
+});
+
+//?q=john&mode=text -> ranked full text search over name and email (default)
+//?q=jo&mode=prefix -> search-as-you-type, matches the start of words and tolerates typos
+//?limit= like the other listings, results come with score and highlights
+//declared before /users/:id, otherwise "search" would be taken as an id
+router.get("/users/search", readUsers, async (req, res) => {
+  const { q, mode = "text" } = req.query;
+
+  if (typeof q !== "string" || !q.trim()) {
+    throw new BadRequestError("q is required");
+  }
+  if (q.length > SEARCH_MAX_LENGTH) {
+    throw new BadRequestError(
+      `q can be at most ${SEARCH_MAX_LENGTH} characters`
+    );
+  }
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new BadRequestError(
+      `mode must be one of: ${SEARCH_MODES.join(", ")}`
+    );
+  }
+
+  const { limit } = parsePageParams(req.query);
+
+  const users = await searchUsers(q, { mode, limit });
+
+  res.status(200).json({
+    users,
+  });
+});
+
+//download users without loading them all into memory
+//?format=csv|ndjson|json (default csv)
+//takes the same filters, sort and fields as GET /users
+//declared before /users/:id, otherwise "export" would be taken as an id
+router.get("/users/export", readUsers, async (req, res) => {
+  const format = req.query.format ?? "csv";
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new BadRequestError(
+      `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    );
+  }
+
+  const query = parseUserQuery(req.query, ["format"]);
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.set("Content-Type", contentType);
+  res.attachment(`users.${extension}`);
+
   try {
-    const users = await User.find();
-    //find() -:> that returns multiple documents that follow the conditions
-    // findOne() -:> returns the FIRST document that matches the conditions
-
-    //no conditions for finding ALL USERS
-    res.status(200).json({
-      users,
-    });
+    //pipeline waits for the client to read before pulling the next user from the cursor
+    await pipeline(Readable.from(exportUsers(query, format)), res);
   } catch (err) {
-    res.status(500).json({
-      message: err.message,
-    });
+    //once the first bytes are out the status can not change anymore, cut the download instead
+    if (!res.headersSent) throw err;
+    res.destroy(err);
   }
 });
 
-router.get("/users/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
-    //_id -> normal syntax for id in mongodb
-    const user = await User.findOne({
-      _id: id,
-    });
+router.get("/users/:id", readUserOrSelf, async (req, res) => {
+  const id = req.params.id;
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw new NotFoundError("No user found");
+  }
 
-    //basic query where we match the query with a field
+  //_id -> normal syntax for id in mongodb
+  const user = await User.findOne({
+    _id: id,
+  });
 
-    if (!user) {
-      res.status(500).send("No user found");
-    }
+  //basic query where we match the query with a field
 
-    res.status(200).json({
-      user,
-    });
-  } catch (err) {
-    res.send(err.message);
+  if (!user) {
+    throw new NotFoundError("No user found");
   }
+
+  //the ETag is sent back in If-Match when updating, and in If-None-Match to skip unchanged downloads
+  const etag = userEtag(user);
+  res.set("ETag", etag);
+  if (etagMatches(req.get("If-None-Match"), etag, { weak: true })) {
+    return res.status(304).end();
+  }
+
+  res.status(200).json({
+    user,
+  });
 });
 
 //find = read
@@ -93,21 +297,20 @@ router.get("/users/:id", async (req, res) => {
 // <= -- $lte
 // != -- $ne
 
-router.get("/users/age/:age", async (req, res) => {
-  try {
-    const age = req.params.age;
+//the fixed query routes below are kept for existing clients
+//new code should use GET /users, e.g. ?age[ne]=40 or ?age[gt]=20&role=user
+//an age that is not a number -> CastError -> 400
+router.get("/users/age/:age", readUsers, async (req, res) => {
+  const age = req.params.age;
 
-    const users = await User.find({
-      age: {
-        $ne: age,
-      },
-    });
-    res.status(200).json({
-      users,
-    });
-  } catch (err) {
-    res.json({ message: err.message });
-  }
+  const users = await User.find({
+    age: {
+      $ne: age,
+    },
+  });
+  res.status(200).json({
+    users,
+  });
 });
 
 // LOGICAL OPERATORS
@@ -117,63 +320,73 @@ router.get("/users/age/:age", async (req, res) => {
 
 // fetch users with age more than 25 AND with role user
 
-router.get("/AND", async (req, res) => {
-  try {
-    const users = await User.find({
-      $and: [
-        {
-          age: {
-            $gt: 20,
-          },
-        },
-        {
-          role: "user",
+router.get("/AND", readUsers, async (req, res) => {
+  const users = await User.find({
+    $and: [
+      {
+        age: {
+          $gt: 20,
         },
-      ],
-    });
-
-    if (users.length === 0) {
-      res.send("users not found");
-    }
+      },
+      {
+        role: "user",
+      },
+    ],
+  });
 
-    res.status(200).json({
-      users,
-    });
-  } catch (err) {
-    res.send(err.message);
+  if (users.length === 0) {
+    throw new NotFoundError("users not found");
   }
+
+  res.status(200).json({
+    users,
+  });
 });
 
 //create a login route
 router.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+  const { email, password } = req.body ?? {};
 
-    const user = await User.findOne({ email }).select("+password");
-    //explicit way of including some fields
+  if (!email || !password) {
+    throw new BadRequestError("Email and password are required");
+  }
 
-    if (!user) {
-      res.status(404).send("User not found");
-    }
+  //too many failures for this account or this IP -> do not even check the password
+  const retryAfter = await loginRetryAfter(email, req.ip);
+  if (retryAfter) {
+    throw new TooManyRequestsError(
+      "Too many failed login attempts, please try again later",
+      retryAfter
+    );
+  }
 
-    console.log(user);
-    //match the password
-    if (user.password !== password) {
-      res.status(400).send("Invalid Password");
-    }
+  //looks the user up by email and matches the password against the bcrypt hash
+  const user = await User.findByCredentials(email, password);
 
-    res.status(200).json({
-      message: "User logged in successfully",
-      user,
-    });
-  } catch (err) {
-    res.status(500).send(err.message);
+  //same answer for an unknown email and a wrong password
+  if (!user) {
+    await recordLoginFailure(email, req.ip);
+    throw new UnauthorizedError("Invalid email or password");
+  }
+
+  await recordLoginSuccess(email);
+
+  //the cost factor was changed since this hash was made, or the password is still plain text from before hashing
+  //-> hash it again while we still have the raw password
+  if (user.needsRehash()) {
+    user.password = password;
+    user.markModified("password"); //a plain text password is the same value, the save hook would skip it
+    user.$locals.keepTokenVersion = true; //same password, other devices stay logged in
+    await user.save({ validateBeforeSave: false, timestamps: false }); //the ETag stays the same
   }
+
+  //email verification, 2FA and finally the tokens
+  await completeLogin(req, res, user);
 });
 
 //Existence and type checks
 //find the users whos address exists in the db
-router.get("/addresscheck", async (req, res) => {
+router.get("/addresscheck", readUsers, async (req, res) => {
   const user = await User.find({
     address: {
       $exists: true, //this will check the existence of the 'address' field in the documents
@@ -181,13 +394,13 @@ router.get("/addresscheck", async (req, res) => {
   });
 
   if (user.length === 0) {
-    res.send("No users with addresses");
+    throw new NotFoundError("No users with addresses");
   }
 
   res.send({ user });
 });
 
-router.get("/typecheck", async (req, res) => {
+router.get("/typecheck", readUsers, async (req, res) => {
   const users = await User.find({
     age: {
       $type: "number",
@@ -195,7 +408,7 @@ router.get("/typecheck", async (req, res) => {
   });
 
   if (users.length === 0) {
-    res.send("No users with age number");
+    throw new NotFoundError("No users with age number");
   }
 
   res.send({ users });
@@ -208,7 +421,7 @@ router.get("/typecheck", async (req, res) => {
 // $in : in
 // $nin: not in
 
-router.get("/validRoles", async (req, res) => {
+router.get("/validRoles", readUsers, async (req, res) => {
   const users = await User.find({
     role: {
       $in: ["superadmin"],
@@ -221,29 +434,117 @@ router.get("/validRoles", async (req, res) => {
 //Update
 
 // findOneAndUpdate
-router.put("/update/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
+//If-Match is required (ETag from GET /users/:id), 412 when the user changed in the meantime
+router.put("/update/:id", writeUserOrSelfIfMatch, async (req, res) => {
+  const id = req.params.id;
 
-    const user = await User.findOneAndUpdate(
-      {
-        _id: id, //contains the matching query
-      },
-      {
-        $set: {
-          age: req.body.age,
-        },
-      },
-      {
-        new: true, //return updated document
-        runValidators: true, //applying schema rules to the updated data
-      }
+  if (!mongoose.isValidObjectId(id)) {
+    throw new NotFoundError("User not found");
+  }
+
+  const current = await User.findById(id).select("__v updatedAt").lean();
+
+  if (!current) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!etagMatches(req.get("If-Match"), userEtag(current))) {
+    throw new PreconditionFailedError("The user was changed by someone else");
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: id, //contains the matching query
+      //only the version that was checked above, a write in between makes this match nothing
+      __v: current.__v ?? null,
+      updatedAt: current.updatedAt ?? null,
+    },
+    {
+      $set: pick(req.body, UPDATE_FIELDS),
+    },
+    {
+      new: true, //return updated document
+      runValidators: true, //applying schema rules to the updated data -> 422 from the error middleware
+    }
+  );
+
+  if (!user) {
+    throw new PreconditionFailedError("The user was changed by someone else");
+  }
+
+  res.set("ETag", userEtag(user));
+  res.send(user);
+});
+
+//partial update in one of the two standard formats
+//application/json-patch+json -> a list of operations (RFC 6902)
+//application/merge-patch+json or plain application/json -> only the fields to change, null removes a field (RFC 7396)
+//If-Match is required like for PUT /update/:id
+router.patch("/users/:id", writeProfileIfMatch, async (req, res) => {
+  const isJsonPatch = req.is("application/json-patch+json");
+  if (
+    !isJsonPatch &&
+    !req.is(["application/merge-patch+json", "application/json"])
+  ) {
+    throw new UnsupportedMediaTypeError(
+      "Use application/merge-patch+json or application/json-patch+json"
     );
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new NotFoundError("User not found");
+  }
+
+  const user = await User.findById(req.params.id);
 
-    res.send(user);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!etagMatches(req.get("If-Match"), userEtag(user))) {
+    throw new PreconditionFailedError("The user was changed by someone else");
+  }
+
+  //the patch is applied to the allowlisted fields only, so it can never reach role, password, tokenVersion...
+  const current = pick(user.toObject(), PATCH_FIELDS);
+  let patched;
+  try {
+    patched = isJsonPatch
+      ? applyJsonPatch(current, req.body)
+      : applyMergePatch(current, req.body);
   } catch (err) {
-    res.send(err.message);
+    throw new BadRequestError(err.message);
   }
+
+  if (!patched || typeof patched !== "object" || Array.isArray(patched)) {
+    throw new BadRequestError("The patched user must be an object");
+  }
+
+  const forbidden = Object.keys(patched).filter(
+    (field) => !PATCH_FIELDS.includes(field)
+  );
+  if (forbidden.length) {
+    throw new BadRequestError(
+      `These fields can not be changed: ${forbidden.join(", ")}`
+    );
+  }
+
+  //a removed field becomes undefined -> unset, required fields are caught by the validators on save
+  for (const field of PATCH_FIELDS) user.set(field, patched[field]);
+
+  const emailChanged = user.isModified("email");
+  //runs the schema validators on every changed field (422), a taken email is a duplicate key (409)
+  //optimisticConcurrency -> VersionError (412) when someone else saved the user after it was loaded above
+  await user.save();
+
+  if (emailChanged) {
+    sendVerificationEmail(user).catch((err) => console.error(err.message));
+  }
+
+  res.set("ETag", userEtag(user));
+  res.status(200).json({
+    user,
+  });
 });
 
 //updateOne()
@@ -253,10 +554,46 @@ router.put("/update/:id", async (req, res) => {
 
 //homework is to read delete queries
 
-router.delete("/delete/:id", async (req, res) => {
+//soft delete -> the user is hidden and logged out, an admin can restore them until the purge job removes them
+//If-Match is required like for PUT /update/:id
+router.delete("/delete/:id", writeUsersIfMatch, async (req, res) => {
   const id = req.params.id;
-  const user = await User.deleteOne({
-    _id: id,
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw new NotFoundError("User not found");
+  }
+
+  const current = await User.findById(id).select("__v updatedAt").lean();
+
+  if (!current) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!etagMatches(req.get("If-Match"), userEtag(current))) {
+    throw new PreconditionFailedError("The user was changed by someone else");
+  }
+
+  //an API key has no user id -> the key is recorded as the one who deleted
+  const user = await softDeleteUser(
+    id,
+    { user: req.user.id, apiKey: req.user.apiKey },
+    {
+      __v: current.__v ?? null,
+      updatedAt: current.updatedAt ?? null,
+    }
+  );
+
+  if (!user) {
+    throw new PreconditionFailedError("The user was changed by someone else");
+  }
+
+  await writeAudit({
+    action: "user.delete",
+    actor: req.user.id,
+    actorApiKey: req.user.apiKey,
+    target: user._id,
+    req,
+    status: 200,
   });
 
   res.json({
@@ -286,5 +623,13 @@ export default router;
 
 404 Not found.
 
+409 Conflict (duplicate email).
+
+412 Precondition failed (If-Match did not match).
+
+422 Unprocessable (validation failed, details per field).
+
 500 Server error.
+
+every error answer -> { message, code, details?, requestId } (middleware/error.middleware.js)
 */
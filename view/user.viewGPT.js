@@ -1,5 +1,6 @@
 import express from "express";
 import User from "../model/user.model.js";
+import { escapeRegex } from "../utils/search.util.js";
 
 const router = express.Router();
 
@@ -293,7 +294,8 @@ router.get("/validRoles", async (req, res) => {
 // ✅ REGEX Search (Partial & Case-insensitive)
 router.get("/search/:text", async (req, res) => {
   try {
-    const regex = new RegExp(req.params.text, "i");
+    //escaped -> the text is matched literally, no regex injection / ReDoS
+    const regex = new RegExp(escapeRegex(req.params.text), "i");
 
     const users = await User.find({
       name: { $regex: regex },